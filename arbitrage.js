@@ -0,0 +1,521 @@
+/**
+ * ARBITRAGE — locked YES/NO pairs on one market
+ *
+ * One YES and one NO contract on the same market pay exactly 100¢ between
+ * them, whatever the result. Two ways to lock that in for less:
+ *   cross     — yes_ask + no_ask + taker fees leave minProfitCents a pair: buy both
+ *   complete  — contracts we already hold (an entry's filled part) cost less than
+ *               100¢ minus the opposite ask and its fee: buy the opposite side
+ *
+ * Legs are limit buys at the ask, tracked by the OrderTracker. The exchange
+ * nets YES against NO, so a matched pair turns into cash as soon as both
+ * sides fill. Leg risk — one side filled, the other not — is handled each
+ * cycle: after legTimeoutSec the resting remainder is cancelled, then the
+ * excess is hedged (buy the missing side, if the pair then loses at most
+ * maxHedgeLossCents) or unwound (sold back at the bid). Whatever still
+ * can't be matched rides to settlement and is booked as exposed.
+ *
+ * A completion reserves the entry's contracts (order.paired) so exits
+ * leave them alone; the entry settles on the rest. Pair P&L and the
+ * locked-profit stats are kept apart from directional bets, in
+ * arb_state.json.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const MarketScanner = require('./scanner');
+const fees = require('./fees');
+const { NotFoundError } = require('./kalshi-client');
+
+const OPP = { yes: 'no', no: 'yes' };
+const MAX_FIXES = 3;   // hedge / unwind orders per pair before the excess is left to settle
+const SETTLE_DELAY_MS = 3000;   // past the close before the exchange is asked for a result
+
+// Cents a pair keeps when `count` are bought at `price` against a side costing `basis` a contract (fees included)
+function lockCents(count, basis, price) {
+  return 100 - basis - price - fees.orderFee(count, price) * 100 / count;
+}
+
+class Arbitrage extends EventEmitter {
+  constructor(kalshi, tracker, market, opts = {}) {
+    super();
+    this.kalshi = kalshi;     // order path — the paper broker in dry-run
+    this.tracker = tracker;
+    this.market = market;     // market data, for a fresh book before committing
+    this.orders = opts.orders || new Map();   // entries a completion can pair against
+    this.file = opts.file || './arb_state.json';
+    this.dry = !!opts.dry;
+    this.minProfitCents = opts.minProfitCents ?? 2;
+    this.maxContracts = opts.maxContracts ?? 20;
+    this.maxFraction = opts.maxFraction ?? 0.20;
+    this.legTimeoutSec = opts.legTimeoutSec ?? 20;
+    this.maxHedgeLossCents = opts.maxHedgeLossCents ?? 3;
+    this.minSecsLeft = opts.minSecsLeft ?? 30;
+
+    this.pairs = new Map();   // id -> open pair
+    this.recent = [];         // last closed pairs
+    this.last = [];           // opportunities the last scan found
+    this.stats = { pairs: 0, locked: 0, unwound: 0, failed: 0, exposed: 0, hedged: 0, contracts: 0, wagered: 0, fees: 0, pnl: 0 };
+  }
+
+  // ═══════════════════
+  //  PAIR STATE
+  // ═══════════════════
+
+  /** Contracts a pair holds per side — buys filled less sells filled. */
+  held(pair) {
+    const h = { yes: 0, no: 0 };
+    for (const l of pair.legs) h[l.side] += (l.action === 'sell' ? -1 : 1) * (l.filled || 0);
+    return h;
+  }
+
+  /** Average cost a contract of `side` in cents, fees included. */
+  basis(pair, side) {
+    let n = 0, cents = 0;
+    for (const l of pair.legs) {
+      if (l.side !== side || l.action !== 'buy' || !l.filled) continue;
+      n += l.filled;
+      cents += l.fillCost + (l.virtual ? 0 : fees.fillFees(l) * 100);
+    }
+    return n ? cents / n : 0;
+  }
+
+  // A completion's entry side counts as filled as far as the completion has — then held() per side
+  _sync(pair) {
+    if (pair.kind === 'complete') {
+      const v = pair.legs[0];
+      v.filled = pair.legs.reduce((n, l) => n + (l.virtual ? 0 : l.filled || 0), 0);
+      v.fillCost = v.filled * v.price;
+    }
+    return this.held(pair);
+  }
+
+  // How a pair ended: matched, traded but sold back to flat, never traded, or left holding one side
+  _outcome(pair, h) {
+    if (h.yes !== h.no) return 'exposed';
+    if (h.yes) return 'locked';
+    return pair.legs.some(l => !l.virtual && l.filled) ? 'unwound' : 'failed';
+  }
+
+  busy(ticker) {
+    for (const p of this.pairs.values()) if (p.ticker === ticker) return true;
+    return false;
+  }
+
+  owns(orderId) {
+    for (const p of this.pairs.values()) if (p.legs.some(l => l.id === orderId)) return true;
+    return false;
+  }
+
+  /**
+   * What open pairs add to the exchange position on `side` of `ticker`: legs
+   * net against each other, and a completion's unfilled reservation is
+   * still held by its entry.
+   */
+  exposure(ticker, side) {
+    let n = 0;
+    for (const p of this.pairs.values()) {
+      if (p.ticker !== ticker) continue;
+      const h = this._sync(p);
+      if (p.kind === 'complete') { if (p.legs[0].side === side) n += p.contracts - h[side]; continue; }
+      n += h[side] - h[OPP[side]];
+    }
+    return n;
+  }
+
+  /**
+   * What each open cross pair can still lose, for the pre-trade caps: what
+   * it paid plus what one side's resting buys would, less the 100¢ every
+   * matched set returns — the worse of the two sides, in dollars. Completions
+   * only offset an entry that is already counted.
+   */
+  risk() {
+    const out = [];
+    for (const p of this.pairs.values()) {
+      if (p.kind !== 'cross') continue;
+      const worst = ['yes', 'no'].map(fill => {
+        const n = { yes: 0, no: 0 };
+        let cents = 0;
+        for (const l of p.legs) {
+          const k = l.action === 'buy' && l.status === 'resting' && l.side === fill ? l.contracts : l.filled || 0;
+          if (!k) continue;
+          const sign = l.action === 'sell' ? -1 : 1;
+          n[l.side] += sign * k;
+          cents += sign * k * l.price + fees.orderFee(k, l.price) * 100;
+        }
+        return cents - 100 * Math.max(0, Math.min(n.yes, n.no));
+      });
+      const cost = Math.max(0, ...worst) / 100;
+      if (cost > 0) out.push({ ticker: p.ticker, expiry: p.expiry, cost: +cost.toFixed(2) });
+    }
+    return out;
+  }
+
+  // ═══════════════════
+  //  DETECTION
+  // ═══════════════════
+
+  _size(pairCents, bankroll) {
+    return Math.max(0, Math.min(this.maxContracts, Math.floor(bankroll * this.maxFraction * 100 / pairCents)));
+  }
+
+  /** Cross pairs on the watchlist. `skip`: tickers we hold a directional position on. */
+  scan(watchlist, bankroll, skip = new Set(), now = Date.now()) {
+    const out = [];
+    for (const [ticker, w] of watchlist) {
+      if (w.resolved || skip.has(ticker) || this.busy(ticker)) continue;
+      if ((w.expiry - now) / 1000 < this.minSecsLeft) continue;
+      const { yes_ask: y, no_ask: n } = w.market;
+      if (!y || !n || y >= 100 || n >= 100 || 100 - y - n < this.minProfitCents) continue;
+      const count = this._size(y + n, bankroll);
+      if (!count) continue;
+      const lock = lockCents(count, y + fees.orderFee(count, y) * 100 / count, n);
+      if (lock >= this.minProfitCents) {
+        out.push({ kind: 'cross', ticker, expiry: w.expiry, yesPrice: y, noPrice: n, contracts: count, lockCents: +lock.toFixed(2) });
+      }
+    }
+    this.last = out;
+    return out;
+  }
+
+  /**
+   * Held entries the opposite ask would lock. available(order): contracts
+   * free to pair — filled, not sold or committed to an exit, not paired.
+   */
+  completions(orders, available, watchlist, bankroll, now = Date.now()) {
+    const out = [];
+    for (const order of orders) {
+      if (!order.filled || now > order.expiry - this.minSecsLeft * 1000) continue;
+      if ([...this.pairs.values()].some(p => p.entry === order.id)) continue;
+      const w = watchlist.get(order.ticker);
+      if (!w || w.resolved) continue;
+      const side = OPP[order.side];
+      const ask = w.market[`${side}_ask`];
+      if (!ask || ask >= 100) continue;
+      const count = Math.min(available(order), this._size(ask, bankroll));
+      if (count <= 0) continue;
+      const basis = (order.fillCost + fees.fillFees(order) * 100) / order.filled;
+      const lock = lockCents(count, basis, ask);
+      if (lock >= this.minProfitCents) {
+        out.push({ kind: 'complete', ticker: order.ticker, expiry: order.expiry, entry: order.id, side, price: ask,
+          basis: +basis.toFixed(2), contracts: count, lockCents: +lock.toFixed(2) });
+      }
+    }
+    this.last = [...this.last.filter(o => o.kind !== 'complete'), ...out];
+    return out;
+  }
+
+  // Top of book in cents from the live order book, falling back to the watchlist quote
+  async _book(ticker, fallback) {
+    try {
+      const a = MarketScanner.analyzeOrderbook(await this.market.getOrderbook(ticker));
+      const c = (x) => Math.round(x * 100);
+      return { yesBid: c(a.bestYesBid), yesAsk: c(a.bestYesAsk), noBid: c(a.bestNoBid), noAsk: c(a.bestNoAsk) };
+    } catch(e) {
+      const m = fallback || {};
+      return { yesBid: m.yes_bid || 0, yesAsk: m.yes_ask || 100, noBid: m.no_bid || 0, noAsk: m.no_ask || 100 };
+    }
+  }
+
+  // ═══════════════════
+  //  EXECUTION
+  // ═══════════════════
+
+  async _leg(pair, side, action, price, count, role) {
+    const res = await this.kalshi.placeOrder({
+      ticker: pair.ticker, action, side, type: 'limit', count,
+      ...(side === 'yes' ? { yes_price: price } : { no_price: price }),
+      client_order_id: uuidv4(),
+    });
+    const leg = { id: res.order?.order_id || uuidv4(), ticker: pair.ticker, side, action, price, contracts: count,
+      expiry: pair.expiry, role, pair: pair.id, at: new Date() };
+    if (this.dry) leg.dry = true;
+    this.tracker.track(leg, res.order);
+    pair.legs.push(leg);
+    this.emit('leg', pair, leg);
+    return leg;
+  }
+
+  /**
+   * Place an opportunity's legs at the asks on the live book — null when the
+   * lock is gone there. A second cross leg that fails to place is left to
+   * the leg-risk rules, like one that doesn't fill.
+   */
+  async open(opp, w) {
+    const pair = { id: uuidv4(), kind: opp.kind, ticker: opp.ticker, expiry: opp.expiry, contracts: opp.contracts,
+      lockCents: opp.lockCents, status: 'working', fixes: 0, at: new Date().toISOString(), legs: [] };
+
+    if (opp.kind === 'cross') {
+      const q = await this._book(opp.ticker, w?.market);
+      const n = opp.contracts;
+      const lock = lockCents(n, q.yesAsk + fees.orderFee(n, q.yesAsk) * 100 / n, q.noAsk);
+      if (q.yesAsk >= 100 || q.noAsk >= 100 || lock < this.minProfitCents) return null;
+      pair.lockCents = +lock.toFixed(2);
+      this.pairs.set(pair.id, pair);
+      try { await this._leg(pair, 'yes', 'buy', q.yesAsk, n, 'pair'); }
+      catch(e) { this.pairs.delete(pair.id); throw e; }
+      try { await this._leg(pair, 'no', 'buy', q.noAsk, n, 'pair'); }
+      catch(e) { this.emit('error', e); }
+    } else {
+      const order = this.orders.get(opp.entry);
+      if (!order) return null;
+      const ask = (await this._book(opp.ticker, w?.market))[`${opp.side}Ask`];
+      const lock = lockCents(opp.contracts, opp.basis, ask);
+      if (ask >= 100 || lock < this.minProfitCents) return null;
+      Object.assign(opp, { price: ask, lockCents: +lock.toFixed(2) });
+      pair.lockCents = opp.lockCents;
+      pair.entry = order.id;
+      // The entry's side, as far as this pair is concerned — filled in as the completion fills
+      pair.legs.push({ id: `${order.id}:paired`, side: order.side, action: 'buy', price: opp.basis, contracts: opp.contracts,
+        filled: 0, fillCost: 0, role: 'entry', virtual: true });
+      order.paired = (order.paired || 0) + opp.contracts;
+      this.pairs.set(pair.id, pair);
+      try { await this._leg(pair, opp.side, 'buy', opp.price, opp.contracts, 'complete'); }
+      catch(e) { order.paired -= opp.contracts; this.pairs.delete(pair.id); throw e; }
+    }
+
+    this.stats.pairs++;
+    this.save();
+    return pair;
+  }
+
+  /**
+   * Leg-risk pass over every open pair: wait out working legs, cancel them
+   * after legTimeoutSec (or near the close), then close a balanced pair or
+   * hedge / unwind the side that filled past the other. A closed market
+   * off the watchlist — a pair restored across a restart — is settled here.
+   */
+  async manage(watchlist, now = Date.now()) {
+    for (const pair of [...this.pairs.values()]) {
+      if (now >= pair.expiry + SETTLE_DELAY_MS && !watchlist.has(pair.ticker)) {
+        await this._settleOrphan(pair);
+        continue;
+      }
+      if (pair.status === 'exposed') {
+        // Waits for the result — normally settle() books it, this catches a result that landed first
+        const w = watchlist.get(pair.ticker);
+        if (w?.result) this._close(pair, 'exposed', w.result);
+        continue;
+      }
+      const legs = pair.legs.filter(l => !l.virtual);
+      // Executed on placement but fills not seen yet — they have to land before the sides are compared
+      for (const l of legs) if (l.status === 'executed' && l.filled < l.contracts) await this.tracker.syncFills(l);
+      const working = legs.filter(l => l.status === 'resting');
+      if (working.length) {
+        const since = Math.max(...working.map(l => new Date(l.at).getTime()));
+        if (now - since < this.legTimeoutSec * 1000 && pair.expiry - now > this.minSecsLeft * 1000) continue;
+        for (const l of working) await this.tracker.cancel(l, 'arb leg timeout');
+        if (legs.some(l => l.status === 'resting')) continue;   // cancel failed — next cycle
+      }
+
+      const h = this._sync(pair);
+      const excess = h.yes - h.no;
+      if (!excess) { this._close(pair, this._outcome(pair, h)); continue; }
+      try { await this._fix(pair, excess > 0 ? 'yes' : 'no', Math.abs(excess), watchlist.get(pair.ticker), now); }
+      catch(e) { this.emit('error', e); }
+    }
+  }
+
+  // One side filled past the other: buy the missing side if the pair still (nearly) pays, else sell the excess back
+  async _fix(pair, side, count, w, now) {
+    if (pair.fixes >= MAX_FIXES || pair.expiry - now <= this.tracker.cancelBeforeSec * 1000) {
+      pair.status = 'exposed';
+      this.save();
+      this.emit('exposed', pair, side, count);
+      return;
+    }
+    pair.fixes++;
+    const q = await this._book(pair.ticker, w?.market);
+    const other = OPP[side];
+    const ask = q[`${other}Ask`], bid = q[`${side}Bid`];
+    const lock = ask < 100 ? lockCents(count, this.basis(pair, side), ask) : -Infinity;
+
+    if (lock >= -this.maxHedgeLossCents) {
+      pair.status = 'hedging';
+      pair.hedged = true;
+      const leg = await this._leg(pair, other, 'buy', ask, count, 'hedge');
+      this.emit('hedge', pair, leg, +lock.toFixed(2));
+    } else if (bid > 0) {
+      pair.status = 'unwinding';
+      pair.unwound = true;
+      const leg = await this._leg(pair, side, 'sell', bid, count, 'unwind');
+      this.emit('unwind', pair, leg);
+    } else {
+      pair.fixes = MAX_FIXES;   // nothing to trade against — exposed on the next pass
+      return;
+    }
+    this.save();
+  }
+
+  /**
+   * Shutdown flatten, once working legs are cancelled: a completion hands
+   * the reservation it didn't fill back to its entry (sold with the other
+   * entries), and any side a pair holds past the other is sold slipCents
+   * under the bid. → [{ ticker, side, count, price, pair }]; failures go to `errors`
+   */
+  async flatten(slipCents, errors = []) {
+    const out = [];
+    for (const pair of [...this.pairs.values()]) {
+      const h = this._sync(pair);
+      if (pair.kind === 'complete') {
+        const order = this.orders.get(pair.entry);
+        const unfilled = pair.contracts - h[pair.legs[0].side];
+        if (order && unfilled > 0) {
+          order.paired = Math.max(0, (order.paired || 0) - unfilled);
+          pair.contracts -= unfilled;
+        }
+        continue;
+      }
+      const excess = h.yes - h.no;
+      if (!excess) continue;
+      const side = excess > 0 ? 'yes' : 'no', count = Math.abs(excess);
+      const bid = (await this._book(pair.ticker))[`${side}Bid`];
+      if (!bid) { errors.push(`arb ${pair.ticker}: no ${side.toUpperCase()} bid to sell ${count} into`); continue; }
+      const price = Math.max(1, bid - slipCents);
+      try {
+        const leg = await this._leg(pair, side, 'sell', price, count, 'flatten');
+        await this.tracker.syncFills(leg);
+        pair.status = 'unwinding';
+        pair.unwound = true;
+        out.push({ ticker: pair.ticker, side, count, price, pair: pair.id });
+      } catch(e) { errors.push(`arb sell ${pair.ticker}: ${e.message}`); }
+    }
+    this.save();
+    return out;
+  }
+
+  // ═══════════════════
+  //  SETTLEMENT
+  // ═══════════════════
+
+  // Pair P&L in dollars. Unmatched contracts pay on `result`; with no result (market gone) they're refunded at cost
+  _pnl(pair, result) {
+    const h = this.held(pair);
+    const matched = Math.min(h.yes, h.no);
+    let cents = matched * 100;
+    for (const side of ['yes', 'no']) {
+      const extra = h[side] - matched;
+      if (extra > 0) cents += extra * (result ? (result === side ? 100 : 0) : this.basis(pair, side));
+    }
+    for (const l of pair.legs) {
+      if (!l.filled) continue;
+      cents += l.action === 'sell' ? l.fillCost : -l.fillCost;
+      if (!l.virtual) cents -= fees.fillFees(l) * 100;
+    }
+    return cents / 100;
+  }
+
+  _close(pair, status, result) {
+    const h = this.held(pair);
+    const real = pair.legs.filter(l => !l.virtual);
+    pair.status = status;
+    pair.matched = Math.min(h.yes, h.no);
+    pair.fees = +real.reduce((s, l) => s + fees.fillFees(l), 0).toFixed(2);
+    pair.wagered = +(real.filter(l => l.action === 'buy').reduce((s, l) => s + (l.fillCost || 0), 0) / 100).toFixed(2);
+    pair.pnl = +this._pnl(pair, result).toFixed(2);
+    pair.result = result || null;
+    pair.closedAt = new Date().toISOString();
+
+    // A completion hands back whatever it reserved and didn't fill
+    if (pair.kind === 'complete') {
+      const order = this.orders.get(pair.entry);
+      if (order) order.paired = Math.max(0, (order.paired || 0) - (pair.contracts - pair.matched));
+    }
+    for (const l of real) this.tracker.untrack(l.id);
+    this.pairs.delete(pair.id);
+
+    const s = this.stats;
+    s[status]++;
+    if (pair.hedged) s.hedged++;
+    s.contracts += pair.matched;
+    s.wagered += pair.wagered;
+    s.fees += pair.fees;
+    s.pnl += pair.pnl;
+    this.recent = [...this.recent, this._summary(pair)].slice(-20);
+    this.save();
+    this.emit('closed', pair);
+  }
+
+  /** Book the result for pairs on a resolved market. result null: the market vanished. */
+  settle(ticker, result) {
+    for (const pair of [...this.pairs.values()]) {
+      if (pair.ticker !== ticker) continue;
+      if (pair.legs.some(l => l.status === 'resting')) continue;   // the tracker cancels before close; next pass
+      this._close(pair, this._outcome(pair, this._sync(pair)), result);
+    }
+  }
+
+  // Nothing will report this market's result — ask the exchange, like an active order past its close
+  async _settleOrphan(pair) {
+    if (!this.market) return;
+    try {
+      const data = await this.market.getMarket(pair.ticker);
+      const m = data.market || data;
+      if (m.result) this.settle(pair.ticker, m.result);
+    } catch(e) {
+      if (e instanceof NotFoundError) this.settle(pair.ticker, null);
+      else this.emit('error', e);
+    }
+  }
+
+  // ═══════════════════
+  //  PERSISTENCE
+  // ═══════════════════
+
+  _summary(p) {
+    return {
+      id: p.id, kind: p.kind, ticker: p.ticker, entry: p.entry, status: p.status, contracts: p.contracts, matched: p.matched,
+      lockCents: p.lockCents, pnl: p.pnl, fees: p.fees, hedged: !!p.hedged, unwound: !!p.unwound, at: p.at, closedAt: p.closedAt,
+      legs: p.legs.map(({ fills, ...l }) => l),
+    };
+  }
+
+  save() {
+    try {
+      const state = { stats: this.stats, recent: this.recent, pairs: [...this.pairs.values()].map(p => ({ ...p, legs: p.legs.map(({ fills, ...l }) => l) })) };
+      fs.writeFileSync(this.file + '.tmp', JSON.stringify(state));
+      fs.renameSync(this.file + '.tmp', this.file);
+    } catch(e) { console.log(`[ARB] Save failed: ${e.message}`); }
+  }
+
+  /**
+   * Open pairs and stats from the last run. Resting legs go back to the
+   * tracker — paper ones died with the paper book and count as cancelled.
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const s = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      Object.assign(this.stats, s.stats);
+      this.recent = s.recent || [];
+      for (const p of s.pairs || []) {
+        for (const l of p.legs) {
+          if (l.virtual) continue;
+          if (l.status === 'resting' && l.dry) l.status = 'canceled';
+          if (l.status === 'resting') this.tracker.track(l, { status: 'resting' });
+        }
+        this.pairs.set(p.id, p);
+      }
+      if (this.pairs.size) console.log(`[ARB] ${this.pairs.size} open pair(s) restored`);
+    } catch(e) { console.log(`[ARB] State unreadable, starting over: ${e.message}`); }
+  }
+
+  /** Locked-profit stats, rounded, with the open pair count. */
+  summary() {
+    const s = this.stats;
+    return { ...s, wagered: +s.wagered.toFixed(2), fees: +s.fees.toFixed(2), pnl: +s.pnl.toFixed(2), open: this.pairs.size };
+  }
+
+  getStatus() {
+    return {
+      ...this.summary(),
+      open: [...this.pairs.values()].map(p => ({ ...this._summary(p), held: this.held(p) })),
+      opportunities: this.last, recent: this.recent.slice(-10),
+      limits: { minProfitCents: this.minProfitCents, maxContracts: this.maxContracts, maxFraction: this.maxFraction,
+        legTimeoutSec: this.legTimeoutSec, maxHedgeLossCents: this.maxHedgeLossCents, minSecsLeft: this.minSecsLeft },
+    };
+  }
+}
+
+module.exports = Arbitrage;
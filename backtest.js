@@ -0,0 +1,239 @@
+/**
+ * BACKTEST — replay the tape through the scalper's own decisions
+ *
+ * Markets, snapshots and BTC signals recorded by the tape are fed through
+ * BTCScalper._evaluate under a simulated clock. Learning is walk-forward:
+ * a market only enters the tables once it has settled on the replay
+ * clock, so every decision sees exactly what live trading would have
+ * known at that moment. Fills are assumed at the quoted ask (taker fee
+ * included) and held to settlement; the RiskManager vetoes orders as it
+ * would live. No network — everything comes from the tape.
+ *
+ *   node backtest.js [--tape ./tape] [--from 2026-10-01] [--to 2026-10-19]
+ *                    [--bankroll 60] [--min-edge 0.06] [--confidence 0.9]
+ *                    [--estimator beta|wilson] [--prior-strength 10] [--bucket-scheme auto|price|distance]
+ *                    [--recency halflife|window] [--half-life 24] [--window 24] [--recency-weighting] [--no-drift-guard]
+ *                    [--max-bets 6] [--kelly-fraction 0.25] [--max-bet-fraction 0.1] [--floor-max-frac 0.15]
+ *                    [--trades] [--json report.json]
+ */
+
+const fs = require('fs');
+const BTCScalper = require('./scalper');
+const { TapeReader } = require('./tape-recorder');
+
+const SETTLE_DELAY_MS = 3000;      // live trading checks results this long after expiry
+const SIGNAL_MAX_AGE_MS = 120000;  // older than this and the snapshot's own fields stand in
+
+class Backtester {
+  constructor(opts = {}) {
+    this.tape = opts.tape || new TapeReader(opts.dir);
+    this.from = opts.from || null;
+    this.to = opts.to || null;
+    this.bankroll = opts.bankroll ?? (+process.env.STARTING_BANKROLL || 60);
+    // Any scalper cfg field: minEdge, confidence, estimator, priorStrength, maxBets, ...
+    this.cfg = opts.cfg || {};
+  }
+
+  async load() {
+    const range = { from: this.from, to: this.to };
+    const markets = (await this.tape.markets(range)).filter(m => m.snapshots.length);
+    const signals = [];
+    for await (const e of this.tape.read({ ...range, types: ['signals'] })) {
+      const { t, type, ...sig } = e;
+      signals.push({ t: Date.parse(t), sig });
+    }
+    return { markets, signals };
+  }
+
+  // Latest recorded signals at or before t — else rebuild what the snapshot kept
+  _signalAt(signals, t, snap) {
+    let lo = 0, hi = signals.length - 1, found = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (signals[mid].t <= t) { found = signals[mid]; lo = mid + 1; } else hi = mid - 1;
+    }
+    if (found && t - found.t <= SIGNAL_MAX_AGE_MS) return found.sig;
+    return { price: snap.btcPrice || null, volatility5m: snap.vol || 0, regime: snap.regime || 'NEUTRAL' };
+  }
+
+  async run() {
+    const { markets, signals } = await this.load();
+    return this.replay(markets, signals);
+  }
+
+  replay(markets, signals = []) {
+    const bot = new BTCScalper({ offline: true });
+    Object.assign(bot.cfg, this.cfg, { dryRun: true });
+    bot.bankroll = this.bankroll;
+
+    // One timeline: every snapshot is a decision point, every settlement a lesson
+    const events = [];
+    let unsettled = 0;
+    for (const m of markets) {
+      if (!m.result || !m.expiry) { unsettled++; continue; }
+      const w = {
+        market: { ...(m.market || { ticker: m.ticker }) }, expiry: m.expiry, snapshots: [],
+        info: m.info || bot._seriesInfo(m.ticker), resolved: false,
+      };
+      for (const snap of m.snapshots) if (snap.t < m.expiry) events.push({ t: snap.t, kind: 'snap', ticker: m.ticker, w, snap });
+      events.push({ t: m.expiry + SETTLE_DELAY_MS, kind: 'settle', ticker: m.ticker, w, result: m.result });
+    }
+    events.sort((a, b) => a.t - b.t || (a.kind === 'settle' ? -1 : 1));
+
+    const open = new Map();   // ticker -> position
+    const trades = [];
+    let decisions = 0, peak = bot.bankroll, maxDrawdown = 0, maxDrawdownPct = 0;
+
+    for (const ev of events) {
+      const { w, ticker } = ev;
+
+      if (ev.kind === 'snap') {
+        const s = ev.snap;
+        w.snapshots.push(s);
+        w.market = { ...w.market, yes_ask: s.yesAsk, no_ask: s.noAsk, yes_bid: s.yesBid, no_bid: s.noBid };
+        if (bot._phase() !== 'TRADE' || open.has(ticker) || open.size >= bot.cfg.maxBets) continue;
+
+        const d = bot._evaluate(w, this._signalAt(signals, ev.t, s), ev.t);
+        if (!d) continue;
+        decisions++;
+        if (!d.trade) continue;
+        const order = { ticker, asset: w.info.asset, expiry: w.expiry, cost: d.cost + d.fee };
+        if (bot.risk.check(order, [...open.values()].map(p => ({ ...p, cost: p.cost + p.fee })), bot.bankroll, ev.t)) continue;
+        open.set(ticker, {
+          ticker, asset: w.info.asset, expiry: w.expiry, side: d.side, price: d.price, contracts: d.contracts, cost: d.cost, fee: d.fee,
+          at: new Date(ev.t).toISOString(), minsLeft: +d.minsLeft.toFixed(2),
+          edge: +d.edge.toFixed(4), lower: +d.ci.lower.toFixed(4), wr: +(d.est.wins / d.est.n).toFixed(4),
+          bucket: d.est.source.replace(/\(\d+\)$/, ''), n: d.est.n, kelly: +d.size.full.toFixed(4), sizing: d.size.limit,
+        });
+        continue;
+      }
+
+      // Settlement — book the position first, then learn from the market
+      const p = open.get(ticker);
+      if (p) {
+        open.delete(ticker);
+        const won = ev.result === p.side;
+        const pnl = (won ? p.contracts * (100 - p.price) / 100 : -p.cost) - p.fee;
+        bot.bankroll += pnl;
+        bot.risk.onSettle(pnl, bot.bankroll, ev.t);
+        peak = Math.max(peak, bot.bankroll);
+        maxDrawdown = Math.max(maxDrawdown, peak - bot.bankroll);
+        if (peak > 0) maxDrawdownPct = Math.max(maxDrawdownPct, (peak - bot.bankroll) / peak);
+        const { asset, expiry, ...trade } = p;
+        trades.push({ ...trade, result: ev.result, won, pnl: +pnl.toFixed(2), bankroll: +bot.bankroll.toFixed(2) });
+      }
+      w.resolved = true;
+      bot._learn(w, ticker, ev.result, ev.t);
+    }
+
+    return this._report(trades, {
+      markets: markets.length - unsettled, unsettled, decisions,
+      observed: bot.learnedData.totalObserved, rejected: bot.risk.rejections, endBankroll: bot.bankroll, maxDrawdown, maxDrawdownPct,
+      from: events.length ? new Date(events[0].t).toISOString() : null,
+      to: events.length ? new Date(events[events.length - 1].t).toISOString() : null,
+      cfg: { minEdge: bot.cfg.minEdge, confidence: bot.cfg.confidence, estimator: bot.cfg.estimator, priorStrength: bot.cfg.priorStrength, bucketScheme: bot.cfg.bucketScheme,
+        recency: bot.cfg.recency, recencyWeighting: bot.cfg.recencyWeighting, driftGuard: bot.cfg.driftGuard, maxBets: bot.cfg.maxBets,
+        kellyFraction: bot.cfg.kellyFraction, maxBetFraction: bot.cfg.maxBetFraction, floorMaxFrac: bot.cfg.floorMaxFrac },
+    });
+  }
+
+  _report(trades, r) {
+    const wins = trades.filter(t => t.won).length;
+    const pnl = trades.reduce((s, t) => s + t.pnl, 0);
+    const wagered = trades.reduce((s, t) => s + t.cost, 0);
+    const feesPaid = trades.reduce((s, t) => s + t.fee, 0);
+
+    // Per-bucket attribution — which learned buckets made or lost the money
+    const buckets = {};
+    for (const t of trades) {
+      const b = buckets[t.bucket] || (buckets[t.bucket] = { trades: 0, wins: 0, pnl: 0, wagered: 0, edge: 0 });
+      b.trades++; b.wins += t.won ? 1 : 0; b.pnl += t.pnl; b.wagered += t.cost; b.edge += t.edge;
+    }
+    for (const b of Object.values(buckets)) {
+      b.winRate = +(b.wins / b.trades).toFixed(3);
+      b.avgEdge = +(b.edge / b.trades).toFixed(4);
+      b.pnl = +b.pnl.toFixed(2); b.wagered = +b.wagered.toFixed(2);
+      delete b.edge;
+    }
+
+    return {
+      summary: {
+        from: r.from, to: r.to, markets: r.markets, unsettled: r.unsettled, observed: r.observed, decisions: r.decisions,
+        trades: trades.length, rejected: r.rejected, wins, losses: trades.length - wins,
+        winRate: trades.length ? +(wins / trades.length).toFixed(3) : 0,
+        pnl: +pnl.toFixed(2), wagered: +wagered.toFixed(2), fees: +feesPaid.toFixed(2),
+        roi: wagered ? +(pnl / wagered).toFixed(4) : 0,
+        startBankroll: this.bankroll, endBankroll: +r.endBankroll.toFixed(2),
+        maxDrawdown: +r.maxDrawdown.toFixed(2), maxDrawdownPct: +(r.maxDrawdownPct * 100).toFixed(1),
+      },
+      cfg: r.cfg,
+      trades,
+      buckets,
+    };
+  }
+}
+
+// ═══════════════════
+//  CLI
+// ═══════════════════
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    args[key] = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+  }
+  return args;
+}
+
+function printReport(rep, showTrades) {
+  const s = rep.summary;
+  const money = (x) => `${x >= 0 ? '+' : '-'}$${Math.abs(x).toFixed(2)}`;
+  console.log(`[BACKTEST] ${s.from || '?'} → ${s.to || '?'} | ${s.markets} markets (${s.unsettled} unsettled skipped) | ${s.decisions} decisions`);
+  console.log(`[BACKTEST] cfg ${JSON.stringify(rep.cfg)}`);
+  if (showTrades) {
+    for (const t of rep.trades) {
+      console.log(`  ${t.at} ${t.won ? 'WIN ' : 'LOSS'} ${t.side.toUpperCase()} ${t.ticker} @${t.price}¢ ×${t.contracts} edge:${(t.edge * 100).toFixed(1)}% ${money(t.pnl)} → $${t.bankroll.toFixed(2)} | ${t.bucket}`);
+    }
+  }
+  console.log(`[BACKTEST] ${s.trades} trades | ${s.wins}W/${s.losses}L (${(s.winRate * 100).toFixed(1)}%) | P&L ${money(s.pnl)} net of $${s.fees.toFixed(2)} fees on $${s.wagered.toFixed(2)} (ROI ${(s.roi * 100).toFixed(1)}%)`);
+  const rej = Object.entries(s.rejected || {}).map(([k, n]) => `${k}:${n}`).join(' ');
+  if (rej) console.log(`[BACKTEST] risk rejections ${rej}`);
+  console.log(`[BACKTEST] bankroll $${s.startBankroll.toFixed(2)} → $${s.endBankroll.toFixed(2)} | max drawdown $${s.maxDrawdown.toFixed(2)} (${s.maxDrawdownPct}%)`);
+  const rows = Object.entries(rep.buckets).sort((a, b) => b[1].pnl - a[1].pnl);
+  if (rows.length) console.log('[BACKTEST] by bucket:');
+  for (const [k, b] of rows) {
+    console.log(`  ${k.padEnd(36)} ${String(b.trades).padStart(4)} trades ${(b.winRate * 100).toFixed(0).padStart(3)}% avgEdge:${(b.avgEdge * 100).toFixed(1)}% ${money(b.pnl)}`);
+  }
+}
+
+if (require.main === module) {
+  const a = parseArgs(process.argv.slice(2));
+  const cfg = {};
+  if (a.minEdge) cfg.minEdge = +a.minEdge;
+  if (a.confidence) cfg.confidence = +a.confidence;
+  if (a.estimator) cfg.estimator = String(a.estimator).toLowerCase();
+  if (a.priorStrength) cfg.priorStrength = +a.priorStrength;
+  if (a.bucketScheme) cfg.bucketScheme = String(a.bucketScheme).toLowerCase();
+  if (a.recency) cfg.recency = String(a.recency).toLowerCase();
+  if (a.halfLife) cfg.recencyHalfLifeHours = +a.halfLife;
+  if (a.window) cfg.recencyWindowHours = +a.window;
+  if (a.recencyWeighting) cfg.recencyWeighting = true;
+  if (a.noDriftGuard) cfg.driftGuard = false;
+  if (a.maxBets) cfg.maxBets = +a.maxBets;
+  if (a.kellyFraction) cfg.kellyFraction = +a.kellyFraction;
+  if (a.maxBetFraction) cfg.maxBetFraction = +a.maxBetFraction;
+  if (a.floorMaxFrac) cfg.floorMaxFrac = +a.floorMaxFrac;
+
+  const bt = new Backtester({ dir: a.tape, from: a.from, to: a.to, bankroll: a.bankroll ? +a.bankroll : undefined, cfg });
+  bt.run().then(rep => {
+    printReport(rep, !!a.trades);
+    if (a.json) {
+      fs.writeFileSync(a.json, JSON.stringify(rep, null, 2));
+      console.log(`[BACKTEST] report → ${a.json}`);
+    }
+  }).catch(e => { console.error(`[BACKTEST] ${e.message}`); process.exit(1); });
+}
+
+module.exports = Backtester;
@@ -0,0 +1,124 @@
+/**
+ * CONFIG — schema for the scalper's runtime settings
+ *
+ * Every cfg field is described once: its type and bounds, the env var it
+ * starts from, and whether it may change while the bot runs. Fields
+ * marked `restart` build objects at construction (stream, tape, ...) and
+ * are refused by validate(); everything else is read per cycle or pushed
+ * into its owner by BTCScalper.setConfig().
+ */
+
+const SERIES_RE = /^KX[A-Z]+\d+M$/;
+
+const SCHEMA = {
+  scanMs:                { type: 'int', min: 1000, max: 300000, env: 'SCAN_INTERVAL_MS' },
+  dryRun:                { type: 'bool', env: 'DRY_RUN' },
+  paperTtlSec:           { type: 'int', min: 0, max: 3600, env: 'PAPER_ORDER_TTL_SEC' },
+  confidence:            { type: 'number', min: 0.5, max: 0.999, env: 'CONFIDENCE' },
+  estimator:             { type: 'enum', values: ['beta', 'wilson'], env: 'EDGE_ESTIMATOR' },
+  priorStrength:         { type: 'number', min: 0, max: 1000, env: 'PRIOR_STRENGTH' },
+  bucketScheme:          { type: 'enum', values: ['auto', 'price', 'distance'], env: 'BUCKET_SCHEME' },
+  recency:               { type: 'enum', values: ['halflife', 'window'], env: 'RECENCY_MODE' },
+  recencyHalfLifeHours:  { type: 'number', min: 0.25, max: 720, env: 'RECENCY_HALFLIFE_H' },
+  recencyWindowHours:    { type: 'int', min: 1, max: 168, env: 'RECENCY_WINDOW_H' },
+  recencyWeighting:      { type: 'bool', env: 'RECENCY_WEIGHTING' },
+  driftGuard:            { type: 'bool', env: 'DRIFT_GUARD' },
+  driftConfidence:       { type: 'number', min: 0.5, max: 0.9999, env: 'DRIFT_CONFIDENCE' },
+  driftMinGap:           { type: 'number', min: 0, max: 1, env: 'DRIFT_MIN_GAP' },
+  driftMinN:             { type: 'int', min: 1, max: 10000, env: 'DRIFT_MIN_N' },
+  minEdge:               { type: 'number', min: 0, max: 0.5, env: 'MIN_EDGE' },
+  maxBets:               { type: 'int', min: 0, max: 50, env: 'MAX_SIMULTANEOUS_BETS' },
+  kellyFraction:         { type: 'number', min: 0, max: 1, env: 'KELLY_FRACTION' },
+  maxBetFraction:        { type: 'number', min: 0, max: 1, env: 'MAX_BET_FRACTION' },
+  minContracts:          { type: 'int', min: 0, max: 1000, env: 'MIN_CONTRACTS' },
+  floorMaxFrac:          { type: 'number', min: 0, max: 1, env: 'FLOOR_MAX_FRACTION' },
+  riskMaxExposure:       { type: 'number', min: 0, max: 1, env: 'RISK_MAX_EXPOSURE' },
+  riskMaxAsset:          { type: 'number', min: 0, max: 1, env: 'RISK_MAX_ASSET' },
+  riskMaxExpiry:         { type: 'number', min: 0, max: 1, env: 'RISK_MAX_EXPIRY' },
+  riskDailyLoss:         { type: 'number', min: 0, max: 1, env: 'RISK_DAILY_LOSS' },
+  riskMaxLossStreak:     { type: 'int', min: 0, max: 100, env: 'RISK_MAX_LOSS_STREAK' },
+  riskStreakCooldownMin: { type: 'int', min: 0, max: 1440, env: 'RISK_STREAK_COOLDOWN_MIN' },
+  series:                { type: 'series' },
+  stream:                { type: 'bool', restart: true, env: 'KALSHI_WS' },
+  discoverMs:            { type: 'int', min: 5000, max: 600000, env: 'DISCOVER_INTERVAL_MS' },
+  snapshotMs:            { type: 'int', min: 1000, max: 60000, env: 'SNAPSHOT_INTERVAL_MS' },
+  cancelBeforeSec:       { type: 'int', min: 0, max: 300, env: 'CANCEL_BEFORE_SEC' },
+  exits:                 { type: 'bool', env: 'EXIT_ENABLED' },
+  stopLossCents:         { type: 'int', min: 1, max: 99, env: 'EXIT_STOP_LOSS_C' },
+  takeProfitCents:       { type: 'int', min: 1, max: 99, env: 'EXIT_TAKE_PROFIT_C' },
+  modelFlip:             { type: 'bool', env: 'EXIT_MODEL_FLIP' },
+  tape:                  { type: 'bool', restart: true, env: 'TAPE_ENABLED' },
+  decisions:             { type: 'bool', restart: true, env: 'DECISIONS_ENABLED' },
+  flattenSlipCents:      { type: 'int', min: 0, max: 50, env: 'FLATTEN_SLIP_C' },
+  execImproveTicks:      { type: 'int', min: 0, max: 10, env: 'EXEC_IMPROVE_TICKS' },
+  execMaxChaseCents:     { type: 'int', min: 0, max: 20, env: 'EXEC_MAX_CHASE_C' },
+  execCrossSecs:         { type: 'int', min: 0, max: 600, env: 'EXEC_CROSS_SECS' },
+  execCrossEdge:         { type: 'number', min: 0, max: 1, env: 'EXEC_CROSS_EDGE' },
+  execJoinSecs:          { type: 'int', min: 0, max: 600, env: 'EXEC_JOIN_SECS' },
+  arb:                   { type: 'bool', env: 'ARB_ENABLED' },
+  arbComplete:           { type: 'bool', env: 'ARB_COMPLETE' },
+  arbMinProfitCents:     { type: 'number', min: 0, max: 50, env: 'ARB_MIN_PROFIT_C' },
+  arbMaxContracts:       { type: 'int', min: 1, max: 1000, env: 'ARB_MAX_CONTRACTS' },
+  arbMaxFraction:        { type: 'number', min: 0, max: 1, env: 'ARB_MAX_FRACTION' },
+  arbLegTimeoutSec:      { type: 'int', min: 1, max: 600, env: 'ARB_LEG_TIMEOUT_SEC' },
+  arbMaxHedgeLossCents:  { type: 'number', min: 0, max: 50, env: 'ARB_MAX_HEDGE_LOSS_C' },
+  ladder:                { type: 'bool', env: 'LADDER_ENABLED' },
+  ladderMs:              { type: 'int', min: 10000, max: 3600000, env: 'LADDER_INTERVAL_MS' },
+  ladderMinProfitCents:  { type: 'number', min: 0, max: 50, env: 'LADDER_MIN_PROFIT_C' },
+  correction:            { type: 'bool', restart: true, env: 'CORRECTION_ENABLED' },
+};
+
+// One field's value → [value, null] or [null, error]. Numeric and boolean strings are accepted.
+function coerce(field, v) {
+  const s = SCHEMA[field];
+  switch (s.type) {
+    case 'bool':
+      if (v === 'true' || v === 'false') v = v === 'true';
+      return typeof v === 'boolean' ? [v, null] : [null, 'expected true or false'];
+    case 'int':
+    case 'number': {
+      const n = typeof v === 'string' && v.trim() !== '' ? +v : v;
+      if (typeof n !== 'number' || !Number.isFinite(n)) return [null, 'expected a number'];
+      if (s.type === 'int' && !Number.isInteger(n)) return [null, 'expected an integer'];
+      if (n < s.min || n > s.max) return [null, `out of range ${s.min}–${s.max}`];
+      return [n, null];
+    }
+    case 'enum':
+      return s.values.includes(v) ? [v, null] : [null, `expected one of ${s.values.join(', ')}`];
+    case 'series': {
+      const list = typeof v === 'string' ? v.split(',').map(x => x.trim()).filter(Boolean) : v;
+      if (!Array.isArray(list) || !list.length) return [null, 'expected a non-empty list of series tickers'];
+      const bad = list.filter(x => typeof x !== 'string' || !SERIES_RE.test(x));
+      if (bad.length) return [null, `not a KX<asset><n>M series: ${bad.join(', ')}`];
+      return [[...new Set(list)], null];
+    }
+  }
+  return [null, 'unsupported type'];
+}
+
+/**
+ * Check a patch against the schema and the current cfg.
+ * → { changes: [{ field, from, to }], errors: ['field: why'] } — fields whose value doesn't change are dropped.
+ */
+function validate(patch, cfg) {
+  const changes = [], errors = [];
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) return { changes, errors: ['expected a JSON object of settings'] };
+  for (const [field, raw] of Object.entries(patch)) {
+    const s = SCHEMA[field];
+    if (!s) { errors.push(`${field}: unknown setting`); continue; }
+    const [to, err] = coerce(field, raw);
+    if (err) { errors.push(`${field}: ${err}`); continue; }
+    if (JSON.stringify(to) === JSON.stringify(cfg[field])) continue;
+    if (s.restart) { errors.push(`${field}: read at startup — set ${s.env} and restart`); continue; }
+    changes.push({ field, from: cfg[field], to });
+  }
+
+  // Cross-field rules, on the config as it would be
+  const next = { ...cfg };
+  for (const c of changes) next[c.field] = c.to;
+  if (next.riskMaxAsset > next.riskMaxExposure) errors.push('riskMaxAsset: above riskMaxExposure');
+  if (next.riskMaxExpiry > next.riskMaxExposure) errors.push('riskMaxExpiry: above riskMaxExposure');
+  return { changes, errors };
+}
+
+module.exports = { SCHEMA, validate, coerce };
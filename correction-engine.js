@@ -70,7 +70,7 @@ class CorrectionEngine extends EventEmitter {
   }
   getSizeMultiplier() { return this.state.positionSizeMultiplier; }
   getDirectionBias(d) { return this.state.directionBias[d] || 1.0; }
-  getCurrentTimeWindow() { return this._tw(new Date()); }
+  getCurrentTimeWindow(now = Date.now()) { return this._tw(new Date(now)); }
   shouldAvoidDirection(d) { const o = this.directionOutcomes[d]; return o && o.length >= 5 && this._wr(o) < 20; }
 
   getStatus() {
@@ -0,0 +1,143 @@
+/**
+ * DATA STORE — versioned, atomic JSON persistence with rotated backups
+ *
+ *   save     — write file.tmp, fsync, rename over the file. At most every
+ *              backupEveryMin the current file is first copied down the
+ *              backup chain: file.1 (newest) … file.N
+ *   load     — parse, refuse versions newer than ours, migrate older ones
+ *              one version at a time, validate
+ *   corrupt  — a file that fails to load is never overwritten: save()
+ *              refuses until recover() restores a backup or starts fresh.
+ *              Either way the bad file is kept as file.corrupt-<time>
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class DataStore {
+  constructor(file, opts = {}) {
+    this.file = file;
+    this.version = opts.version || 1;
+    this.migrations = opts.migrations || {};        // { v: data at v → data at v + 1 }
+    this.validate = opts.validate || (() => null);  // data → error string, or null when sound
+    this.backups = opts.backups ?? +(process.env.DATA_BACKUPS || 5);
+    this.backupEveryMin = opts.backupEveryMin ?? +(process.env.DATA_BACKUP_EVERY_MIN || 60);
+    this.corrupt = null;                            // { error, at } while the file on disk is unusable
+    this.stats = { saves: 0, refused: 0, errors: 0, backups: 0, lastSave: null, lastError: null };
+  }
+
+  _backup(i) { return `${this.file}.${i}`; }
+
+  // Parse, migrate and validate one file → { data, from } — throws with the reason it can't be used
+  _read(file) {
+    const d = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!d || typeof d !== 'object' || Array.isArray(d)) throw new Error('not a JSON object');
+    const from = d.version || 1;
+    if (from > this.version) throw new Error(`version ${from} is newer than this build reads (${this.version})`);
+    let data = d;
+    for (let v = from; v < this.version; v++) {
+      if (!this.migrations[v]) throw new Error(`no migration from version ${v}`);
+      data = this.migrations[v](data);
+      data.version = v + 1;
+    }
+    const err = this.validate(data);
+    if (err) throw new Error(`invalid: ${err}`);
+    return { data, from };
+  }
+
+  /** The stored data, or null when there is none — check `corrupt` to tell missing from unusable. */
+  load() {
+    if (!fs.existsSync(this.file)) return null;
+    try {
+      const { data, from } = this._read(this.file);
+      if (from < this.version) console.log(`[DATA] Migrated ${this.file} v${from} → v${this.version}`);
+      this.corrupt = null;
+      return data;
+    } catch(e) {
+      this.corrupt = { error: e.message, at: new Date().toISOString() };
+      console.log(`[DATA] ${this.file} unusable — ${e.message}. It will not be overwritten until recovered.`);
+      return null;
+    }
+  }
+
+  // Copy the current file to .1, shifting older backups down, when the newest is due
+  _rotate() {
+    if (!this.backups || !fs.existsSync(this.file)) return;
+    const newest = this._backup(1);
+    if (fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < this.backupEveryMin * 60000) return;
+    for (let i = this.backups - 1; i >= 1; i--) {
+      if (fs.existsSync(this._backup(i))) fs.renameSync(this._backup(i), this._backup(i + 1));
+    }
+    fs.copyFileSync(this.file, newest);
+    this.stats.backups++;
+  }
+
+  /** Write atomically. False when refused (corrupt file on disk) or failed. */
+  save(data) {
+    if (this.corrupt) {
+      if (!this.stats.refused++) console.log(`[DATA] Not saving over unusable ${this.file} — POST /api/data/recover`);
+      return false;
+    }
+    const tmp = this.file + '.tmp';
+    try { this._rotate(); }
+    catch(e) { console.log(`[DATA] Backup rotation failed: ${e.message}`); }
+    try {
+      const fd = fs.openSync(tmp, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify({ ...data, version: this.version }));
+        fs.fsyncSync(fd);
+      } finally { fs.closeSync(fd); }
+      fs.renameSync(tmp, this.file);
+      this.stats.saves++;
+      this.stats.lastSave = new Date().toISOString();
+      return true;
+    } catch(e) {
+      this.stats.errors++;
+      this.stats.lastError = e.message;
+      console.log(`[DATA] Save failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  /** Backups newest first, each checked the way load() would: { name, at, size, ok, error } */
+  listBackups() {
+    const out = [];
+    for (let i = 1; i <= this.backups; i++) {
+      const file = this._backup(i);
+      if (!fs.existsSync(file)) continue;
+      const st = fs.statSync(file);
+      let ok = true, error = null;
+      try { this._read(file); } catch(e) { ok = false; error = e.message; }
+      out.push({ name: path.basename(file), at: st.mtime.toISOString(), size: st.size, ok, error });
+    }
+    return out;
+  }
+
+  /**
+   * Explicit recovery. source 'fresh' keeps what is in memory; a backup name
+   * from listBackups() restores it. The file on disk is set aside either way
+   * and saving resumes. Returns the restored data, or null for 'fresh'.
+   */
+  recover(source) {
+    let data = null;
+    if (source !== 'fresh') {
+      const match = Array.from({ length: this.backups }, (_, i) => this._backup(i + 1)).find(f => path.basename(f) === source);
+      if (!match || !fs.existsSync(match)) throw new Error(`no backup named ${source}`);
+      data = this._read(match).data;   // a bad backup throws — nothing changes
+    }
+    if (fs.existsSync(this.file)) {
+      const aside = `${this.file}.${this.corrupt ? 'corrupt' : 'replaced'}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      fs.renameSync(this.file, aside);
+      console.log(`[DATA] ${this.file} kept as ${aside}`);
+    }
+    this.corrupt = null;
+    this.stats.refused = 0;
+    return data;
+  }
+
+  getStatus() {
+    return { file: this.file, version: this.version, corrupt: this.corrupt, keep: this.backups, backupEveryMin: this.backupEveryMin, ...this.stats };
+  }
+}
+
+module.exports = DataStore;
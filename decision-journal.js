@@ -0,0 +1,212 @@
+/**
+ * DECISION JOURNAL — why every trade was (or wasn't) taken
+ *
+ * One record per evaluated opportunity: the bucket and sample behind the
+ * estimate, the interval, edge and bar, the feed signals, the sizing
+ * inputs, the risk verdict and the order it became. Orders report back
+ * as they fill and settle, so the record ends up holding the outcome.
+ *
+ * Files are one per UTC day: decisions/decisions-2026-10-19.jsonl.
+ * Lines are either a record { t, id, ... } or an update { t, id, ev: 'update', ... }
+ * that query() folds into its record. Every scan journals every watched
+ * market, so lines are buffered and appended off the trading loop every
+ * flushMs; each new day prunes files past maxAgeDays / maxTotalMb.
+ *
+ *   reason — placed | edge | drift | size | book | risk | failed
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { v4: uuidv4 } = require('uuid');
+const { prune } = require('./tape-recorder');
+
+const FILE_RE = /^decisions-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// CSV columns — dotted paths into a record
+const COLUMNS = [
+  't', 'id', 'ticker', 'table', 'minsLeft', 'taken', 'reason', 'side', 'price',
+  'bucket.key', 'bucket.table', 'bucket.n', 'bucket.wins', 'bucket.nearby', 'bucket.recent.n', 'bucket.recent.wins', 'favDist',
+  'ci.lower', 'ci.mean', 'ci.upper', 'edge', 'minEdge', 'fee',
+  'signals.price', 'signals.direction', 'signals.regime', 'signals.strength', 'signals.momentum5m', 'signals.volatility5m', 'signals.rsi',
+  'sizing.bankroll', 'sizing.p', 'sizing.fraction', 'sizing.scale', 'sizing.full', 'sizing.stakeFrac', 'sizing.contracts', 'sizing.limit',
+  'drift.recentWr', 'drift.olderWr', 'drift.z', 'risk.rule', 'risk.detail', 'exec.mode', 'exec.price', 'exec.maxPrice',
+  'order', 'filled', 'fillCost', 'result', 'pnl', 'won', 'error',
+];
+
+class DecisionJournal {
+  constructor(opts = {}) {
+    this.dir = opts.dir || process.env.DECISIONS_DIR || './decisions';
+    this.flushMs = opts.flushMs ?? 2000;
+    this.maxBuffer = opts.maxBuffer ?? 500;          // lines held before a flush regardless of the timer
+    this.maxAgeDays = opts.maxAgeDays ?? +(process.env.DECISIONS_MAX_AGE_DAYS || 30);
+    this.maxTotalBytes = (opts.maxTotalMb ?? +(process.env.DECISIONS_MAX_TOTAL_MB || 1024)) * 1024 * 1024;
+    this._buf = [];
+    this._timer = null;
+    this._writing = Promise.resolve();               // flushes run one after another, never interleaved
+    this._day = null;
+    this._failed = false;
+    this.stats = { written: 0, errors: 0, pruned: 0 };
+  }
+
+  // ═══════════════════
+  //  WRITING
+  // ═══════════════════
+
+  _append(entry) {
+    this._buf.push(entry);
+    if (this._buf.length >= this.maxBuffer) this.flush();
+    else if (!this._timer) {
+      this._timer = setTimeout(() => this.flush(), this.flushMs);
+      this._timer.unref?.();
+    }
+  }
+
+  /** Write out everything buffered. Resolves once it is on disk. */
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._buf.length) {
+      const batch = this._buf;
+      this._buf = [];
+      this._writing = this._writing.then(() => this._write(batch));
+    }
+    return this._writing;
+  }
+
+  // One append per day file a batch touches
+  async _write(batch) {
+    const days = new Map();
+    for (const e of batch) {
+      const day = e.t.slice(0, 10);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(JSON.stringify(e) + '\n');
+    }
+    try {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      for (const [day, lines] of days) {
+        if (!this._day || day > this._day) { this._day = day; this._prune(day); }
+        await fs.promises.appendFile(path.join(this.dir, `decisions-${day}.jsonl`), lines.join(''));
+      }
+      this.stats.written += batch.length;
+      this._failed = false;
+    } catch(e) {
+      this.stats.errors++;
+      if (!this._failed) console.log(`[DECISIONS] Write failed: ${e.message}`);
+      this._failed = true;
+    }
+  }
+
+  _prune(day) {
+    try {
+      const n = prune(this.dir, FILE_RE, { day, maxAgeDays: this.maxAgeDays, maxBytes: this.maxTotalBytes });
+      this.stats.pruned += n;
+      if (n) console.log(`[DECISIONS] Pruned ${n} old file(s)`);
+    } catch(e) { console.log(`[DECISIONS] Prune failed: ${e.message}`); }
+  }
+
+  /** Journal an evaluated opportunity. Returns its id for later updates. */
+  record(d) {
+    const id = uuidv4().slice(0, 12);
+    this._append({ t: new Date().toISOString(), id, ...d });
+    return id;
+  }
+
+  /**
+   * Attach later facts to a record. Object fields merge one level deep, so
+   * per-order patches — { orders: { [orderId]: {...} } } — accumulate across
+   * a repriced entry's orders.
+   */
+  update(id, patch) {
+    if (!id) return;
+    this._append({ t: new Date().toISOString(), id, ev: 'update', ...patch });
+  }
+
+  // ═══════════════════
+  //  READING
+  // ═══════════════════
+
+  files(from, to) {
+    if (!fs.existsSync(this.dir)) return [];
+    const dayFrom = from ? new Date(from).toISOString().slice(0, 10) : null;
+    const dayTo = to ? new Date(to).toISOString().slice(0, 10) : null;
+    return fs.readdirSync(this.dir)
+      .map(f => ({ f, m: f.match(FILE_RE) }))
+      .filter(({ m }) => m && (!dayFrom || m[1] >= dayFrom) && (!dayTo || m[1] <= dayTo))
+      .map(({ f }) => f)
+      .sort()
+      .map(f => path.join(this.dir, f));
+  }
+
+  /**
+   * Records with their updates folded in, newest first.
+   * opts: { from, to (Date|ms|ISO), ticker, taken (bool), reason, settled (bool), limit }
+   * Defaults to the last 24 hours.
+   */
+  async query(opts = {}) {
+    await this.flush();
+    const from = opts.from ? new Date(opts.from).getTime() : Date.now() - 86400000;
+    const to = opts.to ? new Date(opts.to).getTime() : null;
+    const recs = new Map();
+
+    // Updates land in later files than their record — read past `to` for them
+    for (const file of this.files(from, null)) {
+      const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line.trim()) continue;
+        let e;
+        try { e = JSON.parse(line); } catch(err) { continue; }   // torn last line after a crash
+        if (e.ev === 'update') {
+          const r = recs.get(e.id);
+          if (!r) continue;
+          const { t, id, ev, ...patch } = e;
+          for (const [k, v] of Object.entries(patch)) r[k] = v && typeof v === 'object' && !Array.isArray(v) ? { ...r[k], ...v } : v;
+          continue;
+        }
+        const t = Date.parse(e.t);
+        if (t < from || (to && t > to)) continue;
+        if (opts.ticker && e.ticker !== opts.ticker) continue;
+        recs.set(e.id, e);
+      }
+    }
+
+    let list = [...recs.values()].map(r => this._finish(r));
+    if (opts.taken != null) list = list.filter(r => r.taken === opts.taken);
+    if (opts.reason) list = list.filter(r => r.reason === opts.reason);
+    if (opts.settled != null) list = list.filter(r => (r.pnl != null) === opts.settled);
+    list.reverse();
+    return opts.limit ? list.slice(0, opts.limit) : list;
+  }
+
+  // Per-order fills and settlements → totals for the decision
+  _finish(r) {
+    const orders = Object.values(r.orders || {});
+    const settled = Object.values(r.settled || {});
+    if (orders.length) {
+      r.filled = orders.reduce((n, o) => n + (o.filled || 0), 0);
+      r.fillCost = orders.reduce((n, o) => n + (o.fillCost || 0), 0);
+    }
+    if (settled.length) {
+      r.pnl = +settled.reduce((n, s) => n + s.pnl, 0).toFixed(2);
+      r.won = r.pnl > 0;
+    }
+    return r;
+  }
+
+  static toCSV(records) {
+    const get = (r, p) => p.split('.').reduce((o, k) => (o == null ? o : o[k]), r);
+    const cell = (v) => {
+      if (v == null) return '';
+      const s = String(v);
+      return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    return [COLUMNS.join(','), ...records.map(r => COLUMNS.map(c => cell(get(r, c))).join(','))].join('\n') + '\n';
+  }
+
+  getStatus() {
+    return { dir: this.dir, buffered: this._buf.length, ...this.stats };
+  }
+}
+
+module.exports = DecisionJournal;
+module.exports.COLUMNS = COLUMNS;
@@ -0,0 +1,112 @@
+/**
+ * EXECUTION — where to post an entry, and when to move it
+ *
+ * Reads the live book (MarketScanner.analyzeOrderbook) and picks one of:
+ *   cross    — take the ask: little time left, a big edge, or no room inside the spread
+ *   improve  — bid improveTicks above the best bid, or under the ask when there is none
+ *   join     — sit on the best bid: plenty of time for the market to come to us
+ *   capped   — the plan is above our ceiling, so rest at the ceiling instead
+ *
+ * The ceiling (maxPrice) is the ask the entry was decided at plus
+ * maxChaseCents, lowered until the edge still clears the bar. Resting
+ * entries are re-planned every cycle against the book without their own
+ * size: repriced up when we're outbid or it's time to cross, cancelled
+ * once someone else's bid passes the ceiling.
+ */
+
+const MarketScanner = require('./scanner');
+const fees = require('./fees');
+
+class Execution {
+  constructor(kalshi, opts = {}) {
+    this.kalshi = kalshi;
+    this.improveTicks = opts.improveTicks ?? 1;
+    this.maxChaseCents = opts.maxChaseCents ?? 3;
+    this.crossSecs = opts.crossSecs ?? 45;       // cross when the market closes within this
+    this.crossEdge = opts.crossEdge ?? 0.12;     // ...or the edge is too good to risk missing
+    this.joinSecs = opts.joinSecs ?? 180;        // join the bid with more time left than this
+  }
+
+  /**
+   * Top of book for one side in cents: { bid, ask, bidSize } — bid 0 / ask 100 when empty.
+   * own: { price, count } — our resting bid, taken off its level first.
+   */
+  async quote(ticker, side, own = null) {
+    let book = await this.kalshi.getOrderbook(ticker);
+    if (own) book = Execution.without(book, side, own);
+    const a = MarketScanner.analyzeOrderbook(book);
+    const c = (x) => Math.round(x * 100);
+    return side === 'yes'
+      ? { bid: c(a.bestYesBid), ask: c(a.bestYesAsk), bidSize: a.bestYesBidSize }
+      : { bid: c(a.bestNoBid), ask: c(a.bestNoAsk), bidSize: a.bestNoBidSize };
+  }
+
+  /** The book with `own.count` removed from the `side` bid at `own.price` — levels in cents or dollar strings. */
+  static without(orderbook, side, own) {
+    const ob = orderbook?.orderbook || orderbook || {};
+    const key = ob[`${side}_dollars`] ? `${side}_dollars` : side;
+    const levels = (ob[key] || [])
+      .map(([p, q]) => (typeof p === 'string' ? Math.round(parseFloat(p) * 100) : p) === own.price ? [p, (parseFloat(q) || 0) - own.count] : [p, q])
+      .filter(([, q]) => parseFloat(q) > 0);
+    return { ...ob, [key]: levels };
+  }
+
+  /** Highest price, up to maxChaseCents over the decision price, where edge still clears minEdge. */
+  ceiling(d) {
+    for (let p = Math.min(99, d.price + this.maxChaseCents); p > d.price; p--) {
+      if (d.ci.lower - p / 100 - fees.perContract(p) >= d.minEdge) return p;
+    }
+    return d.price;
+  }
+
+  /**
+   * { mode, price } for an entry with `secsLeft` to go, or null when the bid is already past maxPrice.
+   * With no bid to join or improve on, bid improveTicks under the ask.
+   * A capped plan keeps the mode it was capped from as `wanted`.
+   */
+  plan(q, edge, secsLeft, maxPrice) {
+    if (q.bid > maxPrice) return null;
+    let mode, price;
+    if (secsLeft <= this.crossSecs || edge >= this.crossEdge || q.ask - q.bid <= 1) { mode = 'cross'; price = q.ask; }
+    else if (q.bid < 1) { mode = 'improve'; price = Math.max(1, q.ask - this.improveTicks); }
+    else if (secsLeft > this.joinSecs) { mode = 'join'; price = q.bid; }
+    else { mode = 'improve'; price = Math.min(q.bid + this.improveTicks, q.ask - 1); }
+
+    if (price > maxPrice) return { mode: 'capped', price: maxPrice, wanted: mode };
+    return { mode, price };
+  }
+
+  /**
+   * Entry order price for an _evaluate() decision. Falls back to crossing
+   * at the decision price when the book can't be read.
+   */
+  async entry(ticker, d, secsLeft) {
+    const maxPrice = this.ceiling(d);
+    let q;
+    try { q = await this.quote(ticker, d.side); }
+    catch(e) { return { mode: 'cross', price: d.price, maxPrice, book: null }; }
+    const p = this.plan(q, d.edge, secsLeft, maxPrice);
+    return p && { ...p, maxPrice, book: q };
+  }
+
+  /**
+   * What to do with a resting entry: null to leave it, { action: 'reprice', mode, price }
+   * or { action: 'cancel', reason }.
+   */
+  async review(order, now = Date.now()) {
+    const x = order.exec;
+    if (!x) return null;
+    // Plan against everyone else — our own bid at the ceiling must not read as being outbid. Paper orders aren't in the book.
+    const own = order.dry ? null : { price: order.price, count: order.contracts - (order.filled || 0) };
+    const q = await this.quote(order.ticker, order.side, own);
+    const p = this.plan(q, x.edge, (order.expiry - now) / 1000, x.maxPrice);
+    if (!p) return { action: 'cancel', reason: `bid ${q.bid}¢ past max ${x.maxPrice}¢` };
+    // Alone on the book there is no one to be outbid by: it stays unless it's time to cross
+    if (!q.bid && (p.wanted || p.mode) !== 'cross') return null;
+    // Only ever move up, and only when outbid or it's time to cross (as far as the ceiling allows)
+    if (p.price > order.price && (q.bid > order.price || (p.wanted || p.mode) === 'cross')) return { action: 'reprice', ...p };
+    return null;
+  }
+}
+
+module.exports = Execution;
@@ -0,0 +1,102 @@
+/**
+ * EXIT MANAGER — sell-to-close before expiry
+ *
+ * Watches each open position against the live bid for its side and
+ * sells it back when a rule fires:
+ *   stop-loss    — bid fell stopLossCents below our average entry
+ *   take-profit  — bid reached takeProfitCents; the last few cents aren't worth the risk
+ *   model-flip   — our model now gives the side < 50% and the bid pays more than that
+ *
+ * Exit orders are limit sells at the bid, tracked by the OrderTracker
+ * like any other order. In dry-run `kalshi` is the paper broker.
+ */
+
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+class ExitManager extends EventEmitter {
+  constructor(kalshi, tracker, opts = {}) {
+    super();
+    this.kalshi = kalshi;
+    this.tracker = tracker;
+    this.stopLossCents = opts.stopLossCents ?? 25;
+    this.takeProfitCents = opts.takeProfitCents ?? 98;
+    this.modelFlip = opts.modelFlip !== false;
+    this.minSecsLeft = opts.minSecsLeft ?? 20;
+  }
+
+  // ═══════════════════
+  //  POSITION STATE
+  // ═══════════════════
+
+  /** Contracts sold back so far, and what they brought in (cents). */
+  exited(order) {
+    let count = 0, proceeds = 0;
+    for (const x of order.exits || []) { count += x.filled || 0; proceeds += x.fillCost || 0; }
+    return { count, proceeds };
+  }
+
+  /**
+   * Contracts still held and not already committed to an exit (cancelled legs
+   * give back their unfilled part) or paired off by the arbitrage module.
+   */
+  available(order) {
+    const committed = (order.exits || []).reduce((n, x) => n + (x.status === 'canceled' ? x.filled || 0 : x.contracts), 0);
+    return (order.filled || 0) - committed - (order.paired || 0);
+  }
+
+  // ═══════════════════
+  //  RULES
+  // ═══════════════════
+
+  /**
+   * Which rule, if any, says to sell now.
+   * quote: { yesBid, noBid } in cents — modelP: our probability the held side wins, or null
+   */
+  decide(order, quote, modelP, now = Date.now()) {
+    if (!quote || this.available(order) <= 0) return null;
+    if ((order.expiry - now) / 1000 < this.minSecsLeft) return null;
+    const bid = order.side === 'yes' ? quote.yesBid : quote.noBid;
+    if (!bid) return null;
+    const entry = order.filled ? order.fillCost / order.filled : order.price;
+
+    if (bid >= this.takeProfitCents) return { reason: 'take-profit', price: bid };
+    if (bid <= entry - this.stopLossCents) return { reason: 'stop-loss', price: bid };
+    if (this.modelFlip && modelP != null && modelP < 0.5 && bid / 100 > modelP) {
+      return { reason: 'model-flip', price: bid };
+    }
+    return null;
+  }
+
+  // ═══════════════════
+  //  EXECUTION
+  // ═══════════════════
+
+  async exit(order, decision) {
+    const count = this.available(order);
+    if (count <= 0) return null;
+    const x = {
+      ticker: order.ticker, side: order.side, action: 'sell', price: decision.price, contracts: count,
+      expiry: order.expiry, reason: decision.reason, parent: order.id, at: new Date(),
+    };
+
+    const res = await this.kalshi.placeOrder({
+      ticker: order.ticker, action: 'sell', side: order.side, type: 'limit', count,
+      ...(order.side === 'yes' ? { yes_price: decision.price } : { no_price: decision.price }),
+      client_order_id: uuidv4(),
+    });
+    x.id = res.order?.order_id || uuidv4();
+    this.tracker.track(x, res.order);
+
+    (order.exits || (order.exits = [])).push(x);
+    this.emit('exit', order, x);
+    return x;
+  }
+
+  /** Stop tracking an order's exit legs once the parent is closed. */
+  release(order) {
+    for (const x of order.exits || []) this.tracker.untrack(x.id);
+  }
+}
+
+module.exports = ExitManager;
@@ -0,0 +1,47 @@
+/**
+ * FEES — Kalshi trading fee schedule, in one place
+ *
+ *   fee = ceil(rate × C × P × (1 − P)) to the cent, per order
+ *
+ * P is the contract price in dollars, C the contract count. Takers pay
+ * 7%; makers (resting orders that get hit) pay 1.75%. Settlement is free.
+ * The edge test, sizing, P&L, backtester and mock exchange all price
+ * fees through here.
+ */
+
+const TAKER_RATE = +(process.env.FEE_TAKER_RATE || 0.07);
+const MAKER_RATE = +(process.env.FEE_MAKER_RATE || 0.0175);
+
+function rate(maker) {
+  return maker ? MAKER_RATE : TAKER_RATE;
+}
+
+/** Unrounded fee per contract in dollars — for edge math. priceCents: 1–99 */
+function perContract(priceCents, maker = false) {
+  const p = priceCents / 100;
+  return rate(maker) * p * (1 - p);
+}
+
+/** Fee in dollars for one order or fill of `count` contracts, rounded up to the cent. */
+function orderFee(count, priceCents, maker = false) {
+  if (!count) return 0;
+  // Shave float noise before rounding up (0.07 × 100 × 0.25 must stay 1.75¢, not 1.7500000001¢)
+  return Math.ceil(+(count * perContract(priceCents, maker) * 100).toFixed(6)) / 100;
+}
+
+/**
+ * Fees paid on an order's fills. Tracked orders carry per-trade fills with
+ * a taker flag; untracked ones (dry-run, adopted positions) are priced as
+ * one taker fill at the average price.
+ */
+function fillFees(order) {
+  if (order.fills?.size) {
+    let fee = 0;
+    for (const f of order.fills.values()) fee += orderFee(f.count, f.price, f.taker === false);
+    return +fee.toFixed(2);
+  }
+  if (!order.filled) return 0;
+  return orderFee(order.filled, order.fillCost / order.filled);
+}
+
+module.exports = { TAKER_RATE, MAKER_RATE, perContract, orderFee, fillFees };
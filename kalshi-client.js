@@ -2,16 +2,95 @@ const crypto = require('crypto');
 const fetch = require('node-fetch');
 const fs = require('fs');
 
+// ═══════════════════
+//  ERRORS
+// ═══════════════════
+
+class KalshiError extends Error {
+  constructor(status, body, method, path) {
+    super(`Kalshi ${status}: ${(body || '').substring(0, 200)}`);
+    this.name = 'KalshiError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+}
+
+class RateLimitError extends KalshiError {
+  constructor(status, body, method, path, retryAfterMs) {
+    super(status, body, method, path);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class AuthError extends KalshiError {
+  constructor(...args) { super(...args); this.name = 'AuthError'; }
+}
+
+class NotFoundError extends KalshiError {
+  constructor(...args) { super(...args); this.name = 'NotFoundError'; }
+}
+
+// ═══════════════════
+//  RATE LIMITING
+// ═══════════════════
+
+// Token bucket — `take()` resolves once a request may go out
+class TokenBucket {
+  constructor(perSec, burst) {
+    this.rate = perSec;
+    this.capacity = burst || perSec;
+    this.tokens = this.capacity;
+    this.last = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) / 1000 * this.rate);
+    this.last = now;
+  }
+
+  async take() {
+    for (;;) {
+      this._refill();
+      if (this.tokens >= 1) { this.tokens -= 1; return; }
+      await new Promise(r => setTimeout(r, Math.ceil((1 - this.tokens) / this.rate * 1000)));
+    }
+  }
+
+  // Server said slow down — drain the bucket so everyone waits
+  drain() { this._refill(); this.tokens = Math.min(this.tokens, 0); }
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
 class KalshiClient {
   constructor(opts = {}) {
     this.env = opts.env || process.env.KALSHI_ENV || 'demo';
-    this.baseUrl = this.env === 'production'
+    // baseUrl/KALSHI_BASE_URL point the client elsewhere, e.g. at mock-exchange.js
+    this.baseUrl = opts.baseUrl || process.env.KALSHI_BASE_URL || (this.env === 'production'
       ? 'https://api.elections.kalshi.com/trade-api/v2'
-      : 'https://demo-api.kalshi.co/trade-api/v2';
+      : 'https://demo-api.kalshi.co/trade-api/v2');
+    // The stream lives beside the REST API — follow the base URL unless KALSHI_WS_URL says otherwise
+    this.wsUrl = opts.wsUrl || process.env.KALSHI_WS_URL
+      || this.baseUrl.replace(/^http/, 'ws').replace(/\/trade-api\/v2\/?$/, '/trade-api/ws/v2');
     this.apiKeyId = opts.apiKeyId || process.env.KALSHI_API_KEY_ID;
     this.privateKey = this._loadKey(opts);
     if (!this.apiKeyId) throw new Error('KALSHI_API_KEY_ID required');
     if (!this.privateKey) throw new Error('Private key required');
+
+    // Request scheduler — separate read/write budgets, retry with backoff
+    this.readBucket = new TokenBucket(opts.readPerSec || +process.env.KALSHI_READ_PER_SEC || 10);
+    this.writeBucket = new TokenBucket(opts.writePerSec || +process.env.KALSHI_WRITE_PER_SEC || 5);
+    const retries = parseInt(process.env.KALSHI_MAX_RETRIES, 10);   // 0 is valid: never retry
+    this.maxRetries = opts.maxRetries ?? (isNaN(retries) ? 4 : Math.max(0, retries));
+    this.backoffMs = opts.backoffMs || 250;
+    this.maxBackoffMs = opts.maxBackoffMs || 8000;
+    this.maxRetryAfterMs = opts.maxRetryAfterMs || this.maxBackoffMs * 4;   // longest Retry-After we'll sit out
+    this.timeoutMs = opts.timeoutMs || 10000;
+    this.stats = { requests: 0, retries: 0, rateLimited: 0, errors: 0 };
     console.log(`[KALSHI] ${this.env} mode — ${this.baseUrl}`);
   }
 
@@ -34,19 +113,68 @@ class KalshiClient {
     }).toString('base64');
   }
 
+  // Signed auth headers — shared by REST requests and the WebSocket handshake
+  _authHeaders(method, fullPath) {
+    const ts = Math.floor(Date.now() / 1000).toString();
+    const sig = this._sign(ts, method, fullPath);
+    return { 'KALSHI-ACCESS-KEY': this.apiKeyId, 'KALSHI-ACCESS-SIGNATURE': sig, 'KALSHI-ACCESS-TIMESTAMP': ts };
+  }
+
   async _req(method, path, body) {
+    const bucket = method === 'GET' ? this.readBucket : this.writeBucket;
+    // A POST is only safe to resend when Kalshi can dedupe it by client_order_id
+    const idempotent = method !== 'POST' || !!body?.client_order_id;
+
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+      this.stats.requests++;
+      try {
+        return await this._send(method, path, body);
+      } catch(e) {
+        const retryable = e instanceof RateLimitError
+          || (idempotent && (!(e instanceof KalshiError) || e.status >= 500));
+        if (!retryable || attempt >= this.maxRetries) { this.stats.errors++; throw e; }
+
+        let wait = Math.min(this.maxBackoffMs, this.backoffMs * 2 ** attempt);
+        wait = Math.round(wait / 2 + Math.random() * wait / 2);
+        if (e instanceof RateLimitError) {
+          this.stats.rateLimited++;
+          bucket.drain();
+          // A wait past the cap would stall the loop behind it — give up and let the caller try next cycle
+          if (e.retryAfterMs > this.maxRetryAfterMs) { this.stats.errors++; throw e; }
+          if (e.retryAfterMs != null) wait = Math.max(wait, e.retryAfterMs);
+        }
+        this.stats.retries++;
+        console.log(`[KALSHI] ${method} ${path.split('?')[0]} → ${e.status || e.code || e.message} — retry ${attempt + 1}/${this.maxRetries} in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  async _send(method, path, body) {
     const url = this.baseUrl + path;
-    const ts = Math.floor(Date.now() / 1000).toString();
-    const sig = this._sign(ts, method, '/trade-api/v2' + path);
-    const headers = { 'Content-Type': 'application/json', 'KALSHI-ACCESS-KEY': this.apiKeyId, 'KALSHI-ACCESS-SIGNATURE': sig, 'KALSHI-ACCESS-TIMESTAMP': ts };
-    const opts = { method, headers };
+    const headers = { 'Content-Type': 'application/json', ...this._authHeaders(method, '/trade-api/v2' + path) };
+    const opts = { method, headers, timeout: this.timeoutMs };
     if (body && (method === 'POST' || method === 'PUT')) opts.body = JSON.stringify(body);
     const res = await fetch(url, opts);
     const text = await res.text();
-    if (!res.ok) throw new Error(`Kalshi ${res.status}: ${text.substring(0, 200)}`);
+    if (!res.ok) {
+      if (res.status === 429) throw new RateLimitError(res.status, text, method, path, this._retryAfter(res.headers.get('retry-after')));
+      if (res.status === 401 || res.status === 403) throw new AuthError(res.status, text, method, path);
+      if (res.status === 404) throw new NotFoundError(res.status, text, method, path);
+      throw new KalshiError(res.status, text, method, path);
+    }
     return text ? JSON.parse(text) : {};
   }
 
+  // Retry-After is either delta-seconds or an HTTP date
+  _retryAfter(h) {
+    if (!h) return null;
+    if (/^\d+(\.\d+)?$/.test(h.trim())) return Math.round(parseFloat(h) * 1000);
+    const t = Date.parse(h);
+    return isNaN(t) ? null : Math.max(0, t - Date.now());
+  }
+
   async getMarkets(params = {}) { const qs = new URLSearchParams(Object.entries(params).filter(([,v]) => v != null)); return this._req('GET', '/markets' + (qs.toString() ? '?' + qs : '')); }
   async getMarket(ticker) { return this._req('GET', `/markets/${ticker}`); }
   async getOrderbook(ticker) { return this._req('GET', `/markets/${ticker}/orderbook`); }
@@ -59,3 +187,7 @@ class KalshiClient {
 }
 
 module.exports = KalshiClient;
+module.exports.KalshiError = KalshiError;
+module.exports.RateLimitError = RateLimitError;
+module.exports.AuthError = AuthError;
+module.exports.NotFoundError = NotFoundError;
@@ -0,0 +1,262 @@
+/**
+ * KALSHI WEBSOCKET — live market data
+ *
+ * Streams ticker, orderbook_delta and fill channels for the markets
+ * the scalper is watching and keeps an in-memory book per ticker.
+ * Reconnects with backoff, resubscribes on reconnect, and resyncs
+ * a book from a fresh snapshot when its sequence numbers skip.
+ *
+ * Events:
+ *   quote (ticker, quote)  — top of book changed
+ *   fill  (fill)           — one of our orders traded
+ *   connected / disconnected
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const WS_PATH = '/trade-api/ws/v2';
+const MARKET_CHANNELS = ['ticker', 'orderbook_delta'];
+
+class KalshiWS extends EventEmitter {
+  constructor(client, opts = {}) {
+    super();
+    this.client = client;
+    this.url = opts.url || client.wsUrl;
+    this.fills = opts.fills !== false;
+    this.reconnectMs = opts.reconnectMs || 1000;
+    this.maxReconnectMs = opts.maxReconnectMs || 30000;
+
+    this.ws = null;
+    this.connected = false;
+    this.books = new Map();     // ticker -> { yes: Map(price->qty), no: Map(price->qty), ts }
+    this.quotes = new Map();    // ticker -> last quote from ticker channel
+    this.tickers = new Set();   // markets we want streamed
+
+    this._subs = new Map();     // sid -> { channel, tickers, seq }
+    this._pending = new Map();  // cmd id -> tickers
+    this._msgId = 1;
+    this._attempts = 0;
+    this._closing = false;
+    this._reconnectTimer = null;
+    this.stats = { messages: 0, reconnects: 0, resyncs: 0, lastMessage: null };
+  }
+
+  // ═══════════════════
+  //  CONNECTION
+  // ═══════════════════
+
+  connect() {
+    if (this.ws) return;
+    this._closing = false;
+    const headers = this.client._authHeaders('GET', WS_PATH);
+    const ws = new WebSocket(this.url, { headers });
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.connected = true;
+      this._attempts = 0;
+      this._subs.clear();
+      this._pending.clear();
+      console.log(`[KWS] Connected — ${this.url}`);
+      if (this.fills) this._send('subscribe', { channels: ['fill'] });
+      if (this.tickers.size) this._subscribe([...this.tickers]);
+      this.emit('connected');
+    });
+
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data.toString()); } catch(e) { return; }
+      this.stats.messages++;
+      this.stats.lastMessage = Date.now();
+      this._onMessage(msg);
+    });
+
+    ws.on('error', (e) => console.log(`[KWS] Error: ${e.message}`));
+
+    ws.on('close', () => {
+      const was = this.connected;
+      this.connected = false;
+      this.ws = null;
+      // Books go stale the moment the stream drops — never trade on them
+      this.books.clear();
+      this.quotes.clear();
+      if (was) this.emit('disconnected');
+      if (!this._closing) this._scheduleReconnect();
+    });
+  }
+
+  close() {
+    this._closing = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.ws) this.ws.close();
+  }
+
+  _scheduleReconnect() {
+    const base = Math.min(this.maxReconnectMs, this.reconnectMs * 2 ** this._attempts);
+    const wait = Math.round(base / 2 + Math.random() * base / 2);
+    this._attempts++;
+    this.stats.reconnects++;
+    console.log(`[KWS] Disconnected — reconnecting in ${wait}ms`);
+    this._reconnectTimer = setTimeout(() => { this._reconnectTimer = null; this.connect(); }, wait);
+  }
+
+  _send(cmd, params) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return null;
+    const id = this._msgId++;
+    this.ws.send(JSON.stringify({ id, cmd, params }));
+    return id;
+  }
+
+  // ═══════════════════
+  //  SUBSCRIPTIONS
+  // ═══════════════════
+
+  /** Replace the set of streamed markets. New tickers are subscribed, dropped ones released. */
+  watch(tickers) {
+    const next = new Set(tickers);
+    const added = [...next].filter(t => !this.tickers.has(t));
+    const removed = [...this.tickers].filter(t => !next.has(t));
+    this.tickers = next;
+
+    for (const t of removed) { this.books.delete(t); this.quotes.delete(t); }
+    if (!this.connected) return;
+
+    if (added.length) this._subscribe(added);
+
+    // Release subscriptions whose markets are all gone
+    const dead = [];
+    for (const [sid, sub] of this._subs) {
+      if (sub.tickers && sub.tickers.every(t => !this.tickers.has(t))) dead.push(sid);
+    }
+    if (dead.length) {
+      dead.forEach(sid => this._subs.delete(sid));
+      this._send('unsubscribe', { sids: dead });
+    }
+  }
+
+  _subscribe(tickers, channels = MARKET_CHANNELS) {
+    const id = this._send('subscribe', { channels, market_tickers: tickers });
+    if (id != null) this._pending.set(id, tickers);
+  }
+
+  // Drop a desynced orderbook subscription and pull a fresh snapshot
+  _resync(sid) {
+    const sub = this._subs.get(sid);
+    if (!sub) return;
+    this.stats.resyncs++;
+    this._subs.delete(sid);
+    const live = (sub.tickers || []).filter(t => this.tickers.has(t));
+    live.forEach(t => this.books.delete(t));
+    console.log(`[KWS] Sequence gap on sid ${sid} — resyncing ${live.length} book(s)`);
+    this._send('unsubscribe', { sids: [sid] });
+    if (live.length) this._subscribe(live, ['orderbook_delta']);
+  }
+
+  // ═══════════════════
+  //  MESSAGES
+  // ═══════════════════
+
+  _onMessage(msg) {
+    const body = msg.msg || {};
+    switch (msg.type) {
+      case 'subscribed': {
+        const tickers = body.channel === 'fill' ? null : (this._pending.get(msg.id) || []);
+        this._subs.set(body.sid, { channel: body.channel, tickers, seq: null });
+        break;
+      }
+      case 'orderbook_snapshot': {
+        const sub = this._subs.get(msg.sid);
+        if (sub) sub.seq = msg.seq;
+        const book = { yes: new Map(), no: new Map(), ts: Date.now() };
+        for (const [p, q] of body.yes || []) book.yes.set(p, q);
+        for (const [p, q] of body.no || []) book.no.set(p, q);
+        this.books.set(body.market_ticker, book);
+        this._emitQuote(body.market_ticker);
+        break;
+      }
+      case 'orderbook_delta': {
+        const sub = this._subs.get(msg.sid);
+        if (!sub) break;
+        if (sub.seq != null && msg.seq !== sub.seq + 1) { this._resync(msg.sid); break; }
+        sub.seq = msg.seq;
+        const book = this.books.get(body.market_ticker);
+        if (!book) break;
+        const side = book[body.side];
+        if (!side) break;
+        const qty = (side.get(body.price) || 0) + body.delta;
+        if (qty > 0) side.set(body.price, qty); else side.delete(body.price);
+        book.ts = Date.now();
+        this._emitQuote(body.market_ticker);
+        break;
+      }
+      case 'ticker': {
+        if (!this.tickers.has(body.market_ticker)) break;
+        this.quotes.set(body.market_ticker, { yesBid: body.yes_bid, yesAsk: body.yes_ask, price: body.price, volume: body.volume, ts: Date.now() });
+        if (!this.books.has(body.market_ticker)) this._emitQuote(body.market_ticker);
+        break;
+      }
+      case 'fill':
+        this.emit('fill', body);
+        break;
+      case 'error':
+        console.log(`[KWS] Server error: ${body.msg || JSON.stringify(body)}`);
+        break;
+    }
+  }
+
+  _emitQuote(ticker) {
+    const q = this.getQuote(ticker);
+    if (q) this.emit('quote', ticker, q);
+  }
+
+  // ═══════════════════
+  //  PUBLIC API
+  // ═══════════════════
+
+  /**
+   * Top of book in cents. Kalshi books only hold bids:
+   * a YES bid at X is a NO ask at 100-X and vice versa.
+   */
+  getQuote(ticker) {
+    const book = this.books.get(ticker);
+    if (book) {
+      const bestYes = book.yes.size ? Math.max(...book.yes.keys()) : null;
+      const bestNo = book.no.size ? Math.max(...book.no.keys()) : null;
+      return {
+        yesBid: bestYes, noBid: bestNo,
+        yesAsk: bestNo != null ? 100 - bestNo : null,
+        noAsk: bestYes != null ? 100 - bestYes : null,
+        yesDepth: bestNo != null ? book.no.get(bestNo) : 0,
+        noDepth: bestYes != null ? book.yes.get(bestYes) : 0,
+        source: 'book', ts: book.ts,
+      };
+    }
+    const t = this.quotes.get(ticker);
+    if (!t) return null;
+    return {
+      yesBid: t.yesBid ?? null, noBid: t.yesAsk != null ? 100 - t.yesAsk : null,
+      yesAsk: t.yesAsk ?? null, noAsk: t.yesBid != null ? 100 - t.yesBid : null,
+      source: 'ticker', ts: t.ts,
+    };
+  }
+
+  /** Book levels as [[price, qty], ...] per side, same shape as the REST orderbook. */
+  getBook(ticker) {
+    const book = this.books.get(ticker);
+    if (!book) return null;
+    const levels = (m) => [...m.entries()].sort((a, b) => a[0] - b[0]);
+    return { yes: levels(book.yes), no: levels(book.no), ts: book.ts };
+  }
+
+  getStatus() {
+    return {
+      connected: this.connected, markets: this.tickers.size, books: this.books.size,
+      subscriptions: this._subs.size, ...this.stats,
+      lastMessage: this.stats.lastMessage ? new Date(this.stats.lastMessage).toISOString() : null,
+    };
+  }
+}
+
+module.exports = KalshiWS;
@@ -0,0 +1,244 @@
+/**
+ * LADDER — cross-strike consistency for BTC threshold and range markets
+ *
+ * Markets in one event share a close time, so between them they price a
+ * single distribution of BTC at that time. Their quotes are tied:
+ *   threshold — "above K" (KXBTCD): P(≥K) can only fall as K rises. A lower
+ *               strike's YES ask under a higher strike's YES bid is a free
+ *               spread: YES on the low strike + NO on the high one pays at
+ *               least 100¢ wherever BTC closes
+ *   range     — "between a and b" buckets (KXBTC): exactly one pays. YES on
+ *               every bucket of a complete ladder for under 100¢, or NO on n
+ *               buckets for under (n − 1) × 100¢, locks in the difference
+ *
+ * Each refresh groups the open markets of `series` by event, orders the
+ * rungs by strike, builds the implied distribution from mid prices and
+ * flags every violation. One that still pays minProfitCents a set after
+ * taker fees on `contracts` a leg is an opportunity, listed with the legs
+ * that take it. Nothing is traded here.
+ */
+
+const fees = require('./fees');
+
+const MAX_PAGES = 5;    // 200 markets a page, per series
+const GAP = 1;          // dollars between one bucket's cap and the next floor that still count as contiguous
+
+// Taker fee a contract in cents when buying `count` at `price`
+function feeCents(count, price) {
+  return fees.orderFee(count, price) * 100 / count;
+}
+
+/**
+ * One market as a rung: its strikes and, for thresholds, the "above" side
+ * whichever way the market is phrased. null when it isn't a strike market.
+ */
+function rung(m) {
+  const lo = m.floor_strike ?? null, hi = m.cap_strike ?? null;
+  if (lo == null && hi == null) return null;
+  const type = m.strike_type || (lo != null && hi != null ? 'between' : lo != null ? 'greater' : 'less');
+  const above = type.startsWith('greater'), below = type.startsWith('less');
+  if (!above && !below && type !== 'between') return null;
+  // Books hold bids only — an empty side asks 100
+  const yesBid = m.yes_bid || 0, noBid = m.no_bid || 0;
+  const q = { yesBid, yesAsk: m.yes_ask || 100 - noBid, noBid, noAsk: m.no_ask || 100 - yesBid };
+  const r = { ticker: m.ticker, type, lo: below ? null : lo, hi: above ? null : hi, ...q };
+  if (type === 'between') return r;
+  // "Above K": YES of a greater market, NO of a less market
+  return { ...r, strike: above ? lo : hi, aboveSide: above ? 'yes' : 'no', aboveBid: above ? yesBid : noBid,
+    aboveAsk: above ? q.yesAsk : q.noAsk, belowAsk: above ? q.noAsk : q.yesAsk };
+}
+
+class Ladder {
+  constructor(kalshi, opts = {}) {
+    this.kalshi = kalshi;
+    this.series = opts.series || (process.env.LADDER_SERIES || 'KXBTCD,KXBTC').split(',').map(s => s.trim()).filter(Boolean);
+    this.minProfitCents = opts.minProfitCents ?? 1;
+    this.contracts = opts.contracts ?? +(process.env.LADDER_CONTRACTS || 10);
+    this.ladders = [];
+    this.opportunities = [];
+    this._since = new Map();   // opportunity key -> first seen
+    this.at = 0;
+    this.error = null;
+    this.stats = { refreshes: 0, markets: 0, found: 0 };   // found: opportunities first seen, all time
+  }
+
+  // ═══════════════════
+  //  FETCH
+  // ═══════════════════
+
+  async _markets() {
+    const out = [];
+    for (const s of this.series) {
+      let cursor = null, page = 0;
+      do {
+        const r = await this.kalshi.getMarkets({ series_ticker: s, status: 'open', limit: 200, cursor });
+        out.push(...(r.markets || []));
+        cursor = r.cursor || null;
+      } while (cursor && ++page < MAX_PAGES);
+    }
+    return out;
+  }
+
+  /** Fetch and check every ladder. → opportunities not seen on the last refresh */
+  async refresh(now = Date.now()) {
+    try {
+      const fresh = this.check(await this._markets(), now);
+      this.error = null;
+      return fresh;
+    } catch(e) {
+      this.error = e.message;
+      this.at = now;   // retry on the next interval, not every cycle
+      throw e;
+    }
+  }
+
+  // ═══════════════════
+  //  CHECKS
+  // ═══════════════════
+
+  /** Group markets by event, check each ladder. → opportunities not seen before */
+  check(markets, now = Date.now()) {
+    const events = new Map(), seen = new Set();
+    for (const m of markets) {
+      if (seen.has(m.ticker)) continue;
+      seen.add(m.ticker);
+      const close = new Date(m.close_time || m.expiration_time).getTime();
+      if (!(close > now)) continue;
+      const key = m.event_ticker || `${m.series_ticker}-${close}`;
+      if (!events.has(key)) events.set(key, { event: key, series: m.series_ticker || key.split('-')[0], expiry: close, markets: [] });
+      events.get(key).markets.push(m);
+    }
+
+    this.ladders = [];
+    for (const ev of events.values()) {
+      const rungs = ev.markets.map(rung).filter(Boolean);
+      const between = rungs.filter(r => r.type === 'between');
+      const l = between.length ? this._range(ev, rungs) : this._threshold(ev, rungs);
+      if (l) this.ladders.push(l);
+    }
+    this.ladders.sort((a, b) => a.expiry - b.expiry || a.event.localeCompare(b.event));
+
+    const opps = this.ladders.flatMap(l => l.violations.filter(v => v.tradeable).map(v => ({ event: l.event, expiry: l.expiry, ...v })));
+    opps.sort((a, b) => b.edge - a.edge);
+    const fresh = [], since = new Map();
+    for (const o of opps) {
+      o.since = this._since.get(o.key) || new Date(now).toISOString();
+      since.set(o.key, o.since);
+      if (!this._since.has(o.key)) fresh.push(o);
+    }
+    this._since = since;
+    this.opportunities = opps;
+    this.at = now;
+    this.stats.refreshes++;
+    this.stats.markets = markets.length;
+    this.stats.found += fresh.length;
+    return fresh;
+  }
+
+  // An opportunity: buy every leg at its ask, `payout` the least a set pays back
+  _violation(type, detail, legs, payout) {
+    const n = this.contracts;
+    const cost = legs.reduce((s, l) => s + l.price, 0);
+    const fee = legs.reduce((s, l) => s + feeCents(n, l.price), 0);
+    const edge = payout - cost - fee;
+    return {
+      key: `${type}:${legs.map(l => `${l.ticker}/${l.side}`).join(',')}`, type, detail,
+      legs: legs.map(l => ({ ...l, action: 'buy', count: n })), contracts: n,
+      cost, payout, gross: payout - cost, fee: +fee.toFixed(2), edge: +edge.toFixed(2), tradeable: edge >= this.minProfitCents,
+    };
+  }
+
+  /**
+   * Threshold ladder: P(≥K) from mids, the implied buckets between strikes,
+   * and every strike pair whose "above" quotes are out of order.
+   */
+  _threshold(ev, rungs) {
+    rungs = rungs.filter(r => r.strike != null).sort((a, b) => a.strike - b.strike);
+    if (rungs.length < 2) return null;
+    const p = rungs.map(r => (r.aboveBid + r.aboveAsk) / 200);
+
+    const distribution = [{ lo: null, hi: rungs[0].strike, p: +(1 - p[0]).toFixed(4) }];
+    for (let i = 0; i < rungs.length; i++) {
+      distribution.push({ lo: rungs[i].strike, hi: rungs[i + 1]?.strike ?? null, p: +(p[i] - (p[i + 1] ?? 0)).toFixed(4) });
+    }
+
+    // Above the low strike + below the high one: one of them pays, both do in between
+    const violations = [];
+    for (let i = 0; i < rungs.length; i++) {
+      for (let j = i + 1; j < rungs.length; j++) {
+        const a = rungs[i], b = rungs[j];
+        if (a.aboveAsk + b.belowAsk >= 100) continue;
+        violations.push(this._violation('monotonic', `above ${a.strike} asks ${a.aboveAsk}¢ < above ${b.strike} bids ${b.aboveBid}¢`, [
+          { ticker: a.ticker, side: a.aboveSide, price: a.aboveAsk },
+          { ticker: b.ticker, side: b.aboveSide === 'yes' ? 'no' : 'yes', price: b.belowAsk },
+        ], 100));
+      }
+    }
+
+    return {
+      event: ev.event, series: ev.series, expiry: ev.expiry, kind: 'threshold', rungs: rungs.length,
+      strikes: rungs.map((r, i) => ({ ticker: r.ticker, strike: r.strike, bid: r.aboveBid, ask: r.aboveAsk, p: +p[i].toFixed(4) })),
+      median: this._median(rungs.map(r => r.strike), p), distribution, violations,
+    };
+  }
+
+  /**
+   * Range ladder: buckets ordered by floor, their mids as a distribution
+   * (and its sum), and the two basket trades — YES on every bucket when the
+   * ladder covers every price, NO on every bucket whose bid pays its fee.
+   */
+  _range(ev, rungs) {
+    rungs = rungs.sort((a, b) => (a.lo ?? -Infinity) - (b.lo ?? -Infinity));
+    if (rungs.length < 2) return null;
+    const mids = rungs.map(r => (r.yesBid + r.yesAsk) / 200);
+    const sum = mids.reduce((s, x) => s + x, 0);
+    const complete = rungs[0].lo == null && rungs[rungs.length - 1].hi == null
+      && rungs.every((r, i) => i === 0 || (rungs[i - 1].hi != null && r.lo != null && r.lo - rungs[i - 1].hi <= GAP));
+
+    const violations = [];
+    if (complete) {
+      const asks = rungs.reduce((s, r) => s + r.yesAsk, 0);
+      if (asks < 100) {
+        violations.push(this._violation('sum-under', `bucket YES asks sum to ${asks}¢`,
+          rungs.map(r => ({ ticker: r.ticker, side: 'yes', price: r.yesAsk })), 100));
+      }
+    }
+    // n NO contracts pay (n − 1) × 100 at worst — a bucket is worth adding while its YES bid covers the NO fee
+    const nos = rungs.filter(r => r.noAsk < 100 && 100 - r.noAsk - feeCents(this.contracts, r.noAsk) > 0);
+    const bids = nos.reduce((s, r) => s + (100 - r.noAsk), 0);
+    if (nos.length >= 2 && bids > 100) {
+      violations.push(this._violation('sum-over', `bucket YES bids sum to ${bids}¢`,
+        nos.map(r => ({ ticker: r.ticker, side: 'no', price: r.noAsk })), (nos.length - 1) * 100));
+    }
+
+    return {
+      event: ev.event, series: ev.series, expiry: ev.expiry, kind: 'range', rungs: rungs.length, complete, sum: +sum.toFixed(4),
+      buckets: rungs.map((r, i) => ({ ticker: r.ticker, lo: r.lo, hi: r.hi, bid: r.yesBid, ask: r.yesAsk, p: +mids[i].toFixed(4) })),
+      median: this._median(rungs.slice(0, -1).map(r => r.hi), rungs.slice(0, -1).map((_, i) => 1 - mids.slice(0, i + 1).reduce((s, x) => s + x, 0) / (sum || 1))),
+      distribution: rungs.map((r, i) => ({ lo: r.lo, hi: r.hi, p: +(sum ? mids[i] / sum : 0).toFixed(4) })),
+      violations,
+    };
+  }
+
+  // Where P(above) crosses ½, interpolated between strikes — null when it doesn't within the ladder
+  _median(strikes, pAbove) {
+    for (let i = 1; i < strikes.length; i++) {
+      const a = pAbove[i - 1], b = pAbove[i];
+      if (a >= 0.5 && b < 0.5 && strikes[i - 1] != null && strikes[i] != null) {
+        return +(strikes[i - 1] + (strikes[i] - strikes[i - 1]) * (a - 0.5) / (a - b)).toFixed(2);
+      }
+    }
+    return null;
+  }
+
+  getStatus() {
+    return {
+      at: this.at ? new Date(this.at).toISOString() : null, series: this.series, error: this.error,
+      minProfitCents: this.minProfitCents, contracts: this.contracts, ...this.stats,
+      violations: this.ladders.reduce((n, l) => n + l.violations.length, 0),
+      opportunities: this.opportunities, ladders: this.ladders,
+    };
+  }
+}
+
+module.exports = Ladder;
@@ -0,0 +1,548 @@
+/**
+ * MOCK EXCHANGE — offline stand-in for the Kalshi trade API
+ *
+ * Implements the REST endpoints KalshiClient uses, so the scalper can
+ * run end-to-end with no network:
+ *   GET    /markets, /markets/:ticker, /markets/:ticker/orderbook
+ *   GET    /portfolio/balance|positions|fills|orders
+ *   POST   /portfolio/orders        DELETE /portfolio/orders/:id
+ *   WS     /trade-api/ws/v2         ticker, orderbook_delta, fill channels
+ *
+ * Opens a KXBTC15M-style "BTC up or down" market every period per
+ * series, prices it off a scripted or replayed BTC path, matches limit
+ * orders against a synthetic market maker (charging fees.js fees on
+ * each fill) and settles each market with a `result` shortly after it
+ * closes.
+ *
+ * The stream sends an orderbook_snapshot per market on subscribe, then
+ * orderbook_delta messages as the maker requotes, each with the next seq
+ * of its subscription. wsGapEvery skips a seq every N deltas so a client's
+ * resync path can be exercised.
+ *
+ * Run it:   node mock-exchange.js
+ * Point at: KALSHI_BASE_URL=http://localhost:3100/trade-api/v2
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const WebSocket = require('ws');
+const fees = require('./fees');
+
+const API_PREFIX = '/trade-api/v2';
+const WS_PATH = '/trade-api/ws/v2';
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+class MockExchange {
+  constructor(opts = {}) {
+    this.now = opts.now || (() => Date.now());
+    this.start = this.now();
+    this.series = opts.series || [{ ticker: 'KXBTC15M', minutes: 15 }, { ticker: 'KXBTC5M', minutes: 5 }];
+    this.settleDelayMs = opts.settleDelayMs ?? 5000;
+    this.volPerMin = opts.volPerMin || 0.0008;    // BTC log-return σ per minute
+    this.spread = opts.spread || 2;               // maker spread in cents
+    this.depth = opts.depth || 50;                // maker contracts per level
+    this.levels = opts.levels || 5;
+    this.publicKey = opts.publicKey || null;      // verify signatures when set
+
+    // BTC path — replayed [{t, price}] / [price, ...] or a seeded random walk
+    this.stepMs = opts.stepMs || 1000;
+    this._rand = this._prng(opts.seed ?? 42);
+    this._path = [];
+    this._replay = null;
+    if (opts.path) this._replay = this._normalizePath(opts.path);
+    else this._path.push(opts.startPrice || 100000);
+
+    this.balance = opts.balance ?? 10000;         // cents
+    this.markets = new Map();
+    this.orders = new Map();
+    this.fills = [];
+    this.positions = new Map();                   // ticker -> { yes, no, cost, realized }
+    this._locked = new Map();                     // order_id -> cents held for a resting buy
+
+    this.wsGapEvery = opts.wsGapEvery || 0;      // skip a delta seq every N deltas, 0 = never
+    this._clients = new Set();                    // stream connections -> { ws, subs: Map(sid -> sub) }
+    this._sid = 1;
+    this._deltas = 0;
+
+    this.app = this._buildApp();
+    this._timer = null;
+    this._server = null;
+    this._wss = null;
+  }
+
+  // ═══════════════════
+  //  BTC PATH
+  // ═══════════════════
+
+  _prng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  _normalizePath(path) {
+    return path.map((p, i) => typeof p === 'number'
+      ? { t: i * this.stepMs, price: p }
+      : { t: p.t != null ? p.t : i * this.stepMs, price: p.price ?? p.btcPrice });
+  }
+
+  /** BTC price at absolute time t. Replays hold their last price past the end. */
+  priceAt(t) {
+    const off = Math.max(0, t - this.start);
+    if (this._replay) {
+      let px = this._replay[0].price;
+      for (const p of this._replay) { if (p.t > off) break; px = p.price; }
+      return px;
+    }
+    const idx = Math.floor(off / this.stepMs);
+    const sd = this.volPerMin * Math.sqrt(this.stepMs / 60000);
+    while (this._path.length <= idx) {
+      // Box-Muller normal step
+      const z = Math.sqrt(-2 * Math.log(this._rand() || 1e-12)) * Math.cos(2 * Math.PI * this._rand());
+      this._path.push(this._path[this._path.length - 1] * Math.exp(sd * z));
+    }
+    return this._path[idx];
+  }
+
+  // ═══════════════════
+  //  MARKET SCHEDULE
+  // ═══════════════════
+
+  _code(d) {
+    const p = (n) => String(n).padStart(2, '0');
+    return `${p(d.getUTCFullYear() % 100)}${MONTHS[d.getUTCMonth()]}${p(d.getUTCDate())}${p(d.getUTCHours())}${p(d.getUTCMinutes())}`;
+  }
+
+  /** Open markets on schedule, requote them, work resting orders, settle closed ones. */
+  tick() {
+    const now = this.now();
+
+    for (const s of this.series) {
+      const period = s.minutes * 60000;
+      const openTime = Math.floor(now / period) * period;
+      const close = new Date(openTime + period);
+      const ticker = `${s.ticker}-${this._code(close)}-${String(close.getUTCMinutes()).padStart(2, '0')}`;
+      if (this.markets.has(ticker)) continue;
+      const strike = +this.priceAt(openTime).toFixed(2);
+      this.markets.set(ticker, {
+        ticker, event_ticker: `${s.ticker}-${this._code(close)}`, series_ticker: s.ticker,
+        title: `BTC price up in next ${s.minutes} mins?`,
+        subtitle: `Target: $${strike.toLocaleString('en-US')}`,
+        yes_sub_title: `Price to beat: $${strike.toLocaleString('en-US')}`, no_sub_title: `Price to beat: $${strike.toLocaleString('en-US')}`,
+        category: 'Crypto', floor_strike: strike, cap_strike: null, strike_type: 'greater_or_equal',
+        open_time: new Date(openTime).toISOString(), close_time: close.toISOString(),
+        expiration_time: close.toISOString(), expected_expiration_time: close.toISOString(),
+        status: 'open', result: '', volume: 0, open_interest: 0, last_price: 50,
+        _minutes: s.minutes, _open: openTime, _close: close.getTime(),
+      });
+    }
+
+    for (const m of this.markets.values()) {
+      if (m.status === 'open' && now >= m._close) m.status = 'closed';
+      if (m.status === 'closed' && now >= m._close + this.settleDelayMs) this._settle(m);
+      if (m.status === 'open') this._quote(m, now);
+    }
+
+    for (const o of this.orders.values()) {
+      if (o.status !== 'resting') continue;
+      const m = this.markets.get(o.ticker);
+      if (!m || m.status !== 'open') { this._cancel(o); continue; }
+      this._match(o, m, false);
+    }
+
+    this._publish();
+  }
+
+  _normCdf(x) {
+    // Abramowitz-Stegun approximation
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const d = 0.3989423 * Math.exp(-x * x / 2);
+    const p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+    return x > 0 ? 1 - p : p;
+  }
+
+  _quote(m, now) {
+    const spot = this.priceAt(now);
+    const minsLeft = Math.max((m._close - now) / 60000, 1e-6);
+    const d = Math.log(spot / m.floor_strike) / (this.volPerMin * Math.sqrt(minsLeft));
+    const mid = Math.max(1 + this.spread, Math.min(99 - this.spread, Math.round(this._normCdf(d) * 100)));
+    const half = Math.ceil(this.spread / 2);
+    m.yes_bid = mid - half; m.yes_ask = mid + half;
+    m.no_bid = 100 - m.yes_ask; m.no_ask = 100 - m.yes_bid;
+  }
+
+  _settle(m) {
+    const final = this.priceAt(m._close);
+    m.result = final >= m.floor_strike ? 'yes' : 'no';
+    m.status = 'settled';
+    m.expiration_value = final.toFixed(2);
+    const pos = this.positions.get(m.ticker);
+    if (pos) {
+      const payout = (m.result === 'yes' ? pos.yes : pos.no) * 100;
+      this.balance += payout;
+      pos.realized += payout - pos.cost;
+      pos.yes = 0; pos.no = 0; pos.cost = 0;
+    }
+    console.log(`[MOCK] Settled ${m.ticker} → ${m.result.toUpperCase()} ($${final.toFixed(2)} vs $${m.floor_strike})`);
+  }
+
+  // ═══════════════════
+  //  ORDER MATCHING
+  // ═══════════════════
+
+  _pos(ticker) {
+    if (!this.positions.has(ticker)) this.positions.set(ticker, { yes: 0, no: 0, cost: 0, realized: 0 });
+    return this.positions.get(ticker);
+  }
+
+  /**
+   * Fill an order against the maker. A taker walks the maker's levels up
+   * to its limit; a resting order fills at its own price once the maker
+   * quote crosses it.
+   */
+  _match(o, m, taker) {
+    const ask = o.side === 'yes' ? m.yes_ask : m.no_ask;
+    const bid = o.side === 'yes' ? m.yes_bid : m.no_bid;
+    const limit = o.side === 'yes' ? o.yes_price : o.no_price;
+
+    for (let lvl = 0; lvl < this.levels && o.remaining_count > 0; lvl++) {
+      const px = o.action === 'buy' ? ask + lvl : bid - lvl;
+      if (o.action === 'buy' ? px > limit : px < limit) break;
+      const qty = Math.min(o.remaining_count, this.depth);
+      this._fill(o, m, taker ? px : limit, qty, taker);
+      if (!taker) break;
+    }
+    if (o.remaining_count === 0) {
+      o.status = 'executed';
+      this._locked.delete(o.order_id);
+    }
+  }
+
+  _fill(o, m, price, count, taker) {
+    const pos = this._pos(o.ticker);
+    if (o.action === 'buy') {
+      const held = this._locked.get(o.order_id);
+      if (held != null) this._locked.set(o.order_id, held - price * count);
+      else this.balance -= price * count;
+      pos[o.side] += count;
+      pos.cost += price * count;
+    } else {
+      const held = pos[o.side];
+      const basis = held > 0 ? Math.round(pos.cost * count / held) : 0;
+      this.balance += price * count;
+      pos[o.side] -= count;
+      pos.cost -= basis;
+      pos.realized += price * count - basis;
+    }
+    this.balance -= Math.round(fees.orderFee(count, price, !taker) * 100);
+    o.remaining_count -= count;
+    o.fill_count += count;
+    m.volume += count;
+    m.last_price = o.side === 'yes' ? price : 100 - price;
+    this.fills.push({
+      trade_id: uuidv4(), order_id: o.order_id, ticker: o.ticker, market_ticker: o.ticker,
+      side: o.side, action: o.action, count, is_taker: taker,
+      yes_price: o.side === 'yes' ? price : 100 - price, no_price: o.side === 'no' ? price : 100 - price,
+      created_time: new Date(this.now()).toISOString(),
+    });
+    this._push('fill', (sub) => ({ type: 'fill', sid: sub.sid, msg: this.fills[this.fills.length - 1] }));
+  }
+
+  _cancel(o) {
+    this.balance += this._locked.get(o.order_id) || 0;
+    this._locked.delete(o.order_id);
+    o.status = 'canceled';
+    const reduced = o.remaining_count;
+    o.remaining_count = 0;
+    return reduced;
+  }
+
+  placeOrder(body) {
+    this.tick();
+    const m = this.markets.get(body.ticker);
+    if (!m) return { status: 404, error: 'market_not_found' };
+    if (m.status !== 'open') return { status: 400, error: 'market_closed' };
+    const side = body.side, action = body.action || 'buy', count = +body.count;
+    const price = side === 'yes' ? +body.yes_price : +body.no_price;
+    if (!['yes', 'no'].includes(side) || !['buy', 'sell'].includes(action)) return { status: 400, error: 'invalid_side_or_action' };
+    if (!(count > 0) || !(price >= 1 && price <= 99)) return { status: 400, error: 'invalid_count_or_price' };
+    if (body.client_order_id && [...this.orders.values()].some(o => o.client_order_id === body.client_order_id)) {
+      return { status: 409, error: 'duplicate_client_order_id' };
+    }
+    if (action === 'buy' && price * count > this.balance) return { status: 400, error: 'insufficient_balance' };
+    if (action === 'sell' && this._pos(body.ticker)[side] < count) return { status: 400, error: 'insufficient_position' };
+
+    const o = {
+      order_id: uuidv4(), client_order_id: body.client_order_id || null, ticker: body.ticker,
+      side, action, type: body.type || 'limit', status: 'resting',
+      yes_price: side === 'yes' ? price : 100 - price, no_price: side === 'no' ? price : 100 - price,
+      initial_count: count, remaining_count: count, fill_count: 0,
+      created_time: new Date(this.now()).toISOString(), expiration_time: m.close_time,
+    };
+    this.orders.set(o.order_id, o);
+    this._match(o, m, true);
+    // Resting buys lock their remaining cost, like a real exchange
+    if (o.status === 'resting' && action === 'buy') {
+      this.balance -= price * o.remaining_count;
+      this._locked.set(o.order_id, price * o.remaining_count);
+    }
+    return { status: 201, order: o };
+  }
+
+  cancelOrder(id) {
+    const o = this.orders.get(id);
+    if (!o) return { status: 404, error: 'order_not_found' };
+    if (o.status !== 'resting') return { status: 400, error: 'order_not_resting' };
+    const reduced = this._cancel(o);
+    return { status: 200, order: o, reduced_by: reduced };
+  }
+
+  // ═══════════════════
+  //  HTTP
+  // ═══════════════════
+
+  _public(m) {
+    const out = {};
+    for (const [k, v] of Object.entries(m)) if (!k.startsWith('_')) out[k] = v;
+    return out;
+  }
+
+  _book(m) {
+    if (m.status !== 'open') return { yes: [], no: [] };
+    const side = (best) => {
+      const lv = [];
+      for (let i = this.levels - 1; i >= 0; i--) if (best - i >= 1) lv.push([best - i, this.depth]);
+      return lv;
+    };
+    return { yes: side(m.yes_bid), no: side(m.no_bid) };
+  }
+
+  // Kalshi signs the path without the query; older clients sign it whole — accept either
+  _verify(method, url, header) {
+    const key = header('KALSHI-ACCESS-KEY');
+    const ts = header('KALSHI-ACCESS-TIMESTAMP');
+    const sig = header('KALSHI-ACCESS-SIGNATURE');
+    if (!key || !ts || !sig) return false;
+    if (!this.publicKey) return true;
+    const opts = { key: this.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_DIGEST };
+    return [url, url.split('?')[0]].some(p => {
+      try { return crypto.verify('sha256', Buffer.from(ts + method + p), opts, Buffer.from(sig, 'base64')); }
+      catch(e) { return false; }
+    });
+  }
+
+  _buildApp() {
+    const app = express();
+    const api = express.Router();
+    app.use(express.json());
+
+    api.use((req, res, next) => {
+      if (!this._verify(req.method, req.originalUrl, h => req.get(h))) return res.status(401).json({ error: { code: 'authentication_error', message: 'invalid signature' } });
+      this.tick();
+      next();
+    });
+
+    const send = (res, r) => r.error
+      ? res.status(r.status).json({ error: { code: r.error, message: r.error } })
+      : res.status(r.status).json(r);
+
+    api.get('/markets', (req, res) => {
+      const { series_ticker, event_ticker, status } = req.query;
+      const limit = +req.query.limit || 100;
+      const list = [...this.markets.values()]
+        .filter(m => (!series_ticker || m.series_ticker === series_ticker)
+          && (!event_ticker || m.event_ticker === event_ticker)
+          && (!status || m.status === status))
+        .sort((a, b) => b._close - a._close)
+        .slice(0, limit)
+        .map(m => this._public(m));
+      res.json({ markets: list, cursor: '' });
+    });
+
+    api.get('/markets/:ticker', (req, res) => {
+      const m = this.markets.get(req.params.ticker);
+      if (!m) return send(res, { status: 404, error: 'market_not_found' });
+      res.json({ market: this._public(m) });
+    });
+
+    api.get('/markets/:ticker/orderbook', (req, res) => {
+      const m = this.markets.get(req.params.ticker);
+      if (!m) return send(res, { status: 404, error: 'market_not_found' });
+      res.json({ orderbook: this._book(m) });
+    });
+
+    api.get('/portfolio/balance', (req, res) => res.json({ balance: Math.round(this.balance) }));
+
+    api.get('/portfolio/positions', (req, res) => {
+      const market_positions = [];
+      for (const [ticker, p] of this.positions) {
+        if (req.query.ticker && ticker !== req.query.ticker) continue;
+        const resting = [...this.orders.values()].filter(o => o.ticker === ticker && o.status === 'resting').length;
+        market_positions.push({
+          ticker, position: p.yes - p.no, market_exposure: Math.round(p.cost),
+          realized_pnl: Math.round(p.realized), resting_orders_count: resting,
+        });
+      }
+      res.json({ market_positions, event_positions: [], cursor: '' });
+    });
+
+    api.get('/portfolio/fills', (req, res) => {
+      const { ticker, order_id } = req.query;
+      const fills = this.fills.filter(f => (!ticker || f.ticker === ticker) && (!order_id || f.order_id === order_id));
+      res.json({ fills: fills.slice().reverse(), cursor: '' });
+    });
+
+    api.get('/portfolio/orders', (req, res) => {
+      const { ticker, status } = req.query;
+      const orders = [...this.orders.values()].filter(o => (!ticker || o.ticker === ticker) && (!status || o.status === status));
+      res.json({ orders: orders.slice().reverse(), cursor: '' });
+    });
+
+    api.get('/portfolio/orders/:id', (req, res) => {
+      const o = this.orders.get(req.params.id);
+      if (!o) return send(res, { status: 404, error: 'order_not_found' });
+      res.json({ order: o });
+    });
+
+    api.post('/portfolio/orders', (req, res) => send(res, this.placeOrder(req.body || {})));
+    api.delete('/portfolio/orders/:id', (req, res) => send(res, this.cancelOrder(req.params.id)));
+
+    app.use(API_PREFIX, api);
+    return app;
+  }
+
+  // ═══════════════════
+  //  WEBSOCKET
+  // ═══════════════════
+
+  _attachStream(server) {
+    this._wss = new WebSocket.Server({
+      server, path: WS_PATH,
+      verifyClient: (info) => this._verify('GET', info.req.url, h => info.req.headers[h.toLowerCase()]),
+    });
+    this._wss.on('connection', (ws) => {
+      const client = { ws, subs: new Map() };
+      this._clients.add(client);
+      ws.on('message', (data) => {
+        let cmd;
+        try { cmd = JSON.parse(data.toString()); } catch(e) { return; }
+        this._command(client, cmd);
+      });
+      ws.on('close', () => this._clients.delete(client));
+    });
+  }
+
+  _send(client, msg) {
+    if (client.ws.readyState === WebSocket.OPEN) client.ws.send(JSON.stringify(msg));
+  }
+
+  _command(client, { id, cmd, params = {} }) {
+    if (cmd === 'subscribe') {
+      this.tick();
+      for (const channel of params.channels || []) {
+        const sub = { sid: this._sid++, channel, tickers: channel === 'fill' ? null : (params.market_tickers || []), seq: 0, books: new Map(), quotes: new Map() };
+        client.subs.set(sub.sid, sub);
+        this._send(client, { id, type: 'subscribed', msg: { channel, sid: sub.sid } });
+        if (channel === 'orderbook_delta') sub.tickers.forEach(t => this._snapshot(client, sub, t));
+        if (channel === 'ticker') sub.tickers.forEach(t => this._ticker(client, sub, t));
+      }
+    } else if (cmd === 'unsubscribe') {
+      for (const sid of params.sids || []) client.subs.delete(sid);
+      this._send(client, { id, type: 'unsubscribed', msg: { sids: params.sids || [] } });
+    } else {
+      this._send(client, { id, type: 'error', msg: { code: 5, msg: `unknown command ${cmd}` } });
+    }
+  }
+
+  // Book levels as price -> qty per side, empty for unknown or closed markets
+  _levels(ticker) {
+    const m = this.markets.get(ticker);
+    const b = m ? this._book(m) : { yes: [], no: [] };
+    return { yes: new Map(b.yes), no: new Map(b.no) };
+  }
+
+  _snapshot(client, sub, ticker) {
+    const book = this._levels(ticker);
+    sub.books.set(ticker, book);
+    this._send(client, { type: 'orderbook_snapshot', sid: sub.sid, seq: ++sub.seq,
+      msg: { market_ticker: ticker, yes: [...book.yes], no: [...book.no] } });
+  }
+
+  _ticker(client, sub, ticker) {
+    const m = this.markets.get(ticker);
+    if (!m || m.status !== 'open') return;
+    const q = { market_ticker: ticker, price: m.last_price, yes_bid: m.yes_bid, yes_ask: m.yes_ask, volume: m.volume };
+    const last = sub.quotes.get(ticker);
+    if (last && last.yes_bid === q.yes_bid && last.yes_ask === q.yes_ask && last.volume === q.volume) return;
+    sub.quotes.set(ticker, q);
+    this._send(client, { type: 'ticker', sid: sub.sid, msg: q });
+  }
+
+  // Send `build(sub)` on every subscription to `channel`
+  _push(channel, build) {
+    for (const c of this._clients) {
+      for (const sub of c.subs.values()) if (sub.channel === channel) this._send(c, build(sub));
+    }
+  }
+
+  /** Stream what changed since the last tick: book deltas against each subscription's copy, new tickers. */
+  _publish() {
+    for (const c of this._clients) {
+      for (const sub of c.subs.values()) {
+        if (sub.channel === 'ticker') { sub.tickers.forEach(t => this._ticker(c, sub, t)); continue; }
+        if (sub.channel !== 'orderbook_delta') continue;
+        for (const t of sub.tickers) {
+          const prev = sub.books.get(t), next = this._levels(t);
+          for (const side of ['yes', 'no']) {
+            for (const price of new Set([...prev[side].keys(), ...next[side].keys()])) {
+              const delta = (next[side].get(price) || 0) - (prev[side].get(price) || 0);
+              if (!delta) continue;
+              sub.seq += this.wsGapEvery && ++this._deltas % this.wsGapEvery === 0 ? 2 : 1;
+              this._send(c, { type: 'orderbook_delta', sid: sub.sid, seq: sub.seq, msg: { market_ticker: t, price, delta, side } });
+            }
+          }
+          sub.books.set(t, next);
+        }
+      }
+    }
+  }
+
+  listen(port = 3100) {
+    this._timer = setInterval(() => this.tick(), 1000);
+    this._server = this.app.listen(port);
+    this._attachStream(this._server);
+    return this._server;
+  }
+
+  close() {
+    clearInterval(this._timer);
+    for (const c of this._clients) c.ws.terminate();
+    if (this._wss) this._wss.close();
+    if (this._server) this._server.close();
+  }
+}
+
+module.exports = MockExchange;
+
+if (require.main === module) {
+  const opts = { seed: +process.env.MOCK_SEED || 42, wsGapEvery: +process.env.MOCK_WS_GAP_EVERY || 0 };
+  if (process.env.MOCK_BTC_PATH) {
+    // JSON array, or JSONL of { t, price } / recorded snapshots with btcPrice
+    const raw = fs.readFileSync(process.env.MOCK_BTC_PATH, 'utf8').trim();
+    opts.path = raw.startsWith('[') ? JSON.parse(raw) : raw.split('\n').filter(Boolean).map(l => JSON.parse(l));
+  }
+  if (process.env.MOCK_PUBLIC_KEY_PATH) {
+    opts.publicKey = crypto.createPublicKey(fs.readFileSync(process.env.MOCK_PUBLIC_KEY_PATH, 'utf8'));
+  }
+  const port = +process.env.MOCK_PORT || 3100;
+  const ex = new MockExchange(opts);
+  ex.listen(port);
+  console.log(`[MOCK] Exchange on http://localhost:${port}${API_PREFIX} | stream ws://localhost:${port}${WS_PATH} | signatures:${opts.publicKey ? 'verified' : 'presence only'}`);
+}
@@ -0,0 +1,108 @@
+/**
+ * ORDER JOURNAL — crash-safe record of our own orders
+ *
+ * Append-only JSONL: every placement, fill, update, settlement and close
+ * is one line, plus periodic stats lines carrying the bankroll counters.
+ * Replaying the file after a restart yields the orders still open — with
+ * each leg's fills, so what traded before a crash is known without the
+ * exchange — and the last known stats, which the scalper then reconciles
+ * against the exchange.
+ */
+
+const fs = require('fs');
+
+const ORDER_FIELDS = ['id', 'ticker', 'side', 'price', 'payout', 'contracts', 'cost', 'fee', 'expiry', 'at', 'status', 'filled', 'fillCost', 'source', 'direction', 'volRegime', 'decision', 'exec', 'dry', 'exits', 'paired'];
+
+// Fill line — keyed to the entry, naming the exit leg when it's one of those
+function fillLine(order, { trade, count, price, taker }, exit) {
+  return { ev: 'fill', id: order.id, ...(exit ? { exit: exit.id } : {}), trade, count, price, taker };
+}
+
+// Journal line for an order — exit legs keep their fill totals, not the per-trade map
+function pick(order) {
+  const o = {};
+  for (const k of ORDER_FIELDS) if (order[k] !== undefined) o[k] = order[k];
+  if (o.exits) o.exits = o.exits.map(({ fills, ...x }) => x);
+  return o;
+}
+
+class OrderJournal {
+  constructor(file = './order_journal.jsonl') {
+    this.file = file;
+  }
+
+  _append(entry) {
+    try { fs.appendFileSync(this.file, JSON.stringify({ t: new Date().toISOString(), ...entry }) + '\n'); }
+    catch(e) { console.log(`[JOURNAL] Write failed: ${e.message}`); }
+  }
+
+  /** ev: placed | update | settled | closed */
+  record(ev, order, extra = {}) {
+    this._append({ ev, ...pick(order), ...extra });
+  }
+
+  /** One trade on an entry, or on its exit leg `exit`. f: { trade, count, price, taker } */
+  fill(order, f, exit = null) {
+    this._append(fillLine(order, f, exit));
+  }
+
+  saveStats(stats) { this._append({ ev: 'stats', stats }); }
+
+  /** Replay the journal → { open: Map(id -> order), stats }. Legs with journaled fills get their `fills` map back. */
+  load() {
+    const open = new Map();
+    const fills = new Map();   // entry or exit id -> Map(trade -> { count, price, taker })
+    let stats = null;
+    if (!fs.existsSync(this.file)) return { open, stats };
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let e;
+      try { e = JSON.parse(line); } catch(err) { continue; }   // torn last line after a crash
+      if (e.ev === 'stats') { stats = e.stats; continue; }
+      if (e.ev === 'fill') {
+        const leg = e.exit || e.id;
+        if (!fills.has(leg)) fills.set(leg, new Map());
+        fills.get(leg).set(e.trade, { count: e.count, price: e.price, taker: e.taker !== false });
+        continue;
+      }
+      if (e.ev === 'settled' || e.ev === 'closed') { open.delete(e.id); fills.delete(e.id); continue; }
+      const { t, ev, ...order } = e;
+      open.set(e.id, { ...(open.get(e.id) || {}), ...order });
+    }
+
+    for (const o of open.values()) {
+      for (const x of [o, ...(o.exits || [])]) {
+        const f = fills.get(x.id);
+        if (!f) continue;
+        x.fills = f;
+        // A fill is written before the update that totals it — a crash between the two leaves the totals short
+        let n = 0, cost = 0;
+        for (const y of f.values()) { n += y.count; cost += y.count * y.price; }
+        if (n > (x.filled || 0)) { x.filled = n; x.fillCost = cost; }
+      }
+    }
+    return { open, stats };
+  }
+
+  /** Rewrite the journal with only open orders and the latest stats (temp file + rename). */
+  compact(open, stats) {
+    const lines = [];
+    if (stats) lines.push(JSON.stringify({ t: new Date().toISOString(), ev: 'stats', stats }));
+    for (const order of open.values()) {
+      const t = new Date().toISOString();
+      lines.push(JSON.stringify({ t, ev: 'placed', ...pick(order) }));
+      for (const x of [order, ...(order.exits || [])]) {
+        for (const [trade, f] of x.fills || []) lines.push(JSON.stringify({ t, ...fillLine(order, { trade, ...f }, x === order ? null : x) }));
+      }
+    }
+    try {
+      const tmp = this.file + '.tmp';
+      fs.writeFileSync(tmp, lines.join('\n') + (lines.length ? '\n' : ''));
+      fs.renameSync(tmp, this.file);
+    } catch(e) { console.log(`[JOURNAL] Compact failed: ${e.message}`); }
+  }
+}
+
+module.exports = OrderJournal;
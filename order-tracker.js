@@ -0,0 +1,134 @@
+/**
+ * ORDER TRACKER — live order lifecycle
+ *
+ * Follows every live order from placement to done:
+ *   resting → (partial fills) → executed | canceled
+ *
+ * Fills come from getFills by order_id (authoritative) and from the
+ * WebSocket fill channel (fast). Resting remainders are cancelled a
+ * configurable number of seconds before the market closes, so only
+ * quantity that actually traded is ever settled.
+ */
+
+const EventEmitter = require('events');
+const { NotFoundError } = require('./kalshi-client');
+
+const MAX_SHORT_SYNCS = 20;   // polls an executed order waits for missing fills before it is closed on what it has
+
+class OrderTracker extends EventEmitter {
+  constructor(kalshi, opts = {}) {
+    super();
+    this.kalshi = kalshi;
+    this.cancelBeforeSec = opts.cancelBeforeSec ?? 15;
+    this.orders = new Map();   // order_id -> tracked order (shared with scalper.activeOrders)
+  }
+
+  /** Start tracking a placed order. Mutates `order` in place with fill state. */
+  track(order, placed = {}) {
+    order.status = placed.status || 'resting';
+    order.fills = order.fills || new Map();   // trade_id -> { count, price, taker }
+    order.filled = order.filled || 0;
+    order.fillCost = order.fillCost || 0;     // cents actually paid
+    this.orders.set(order.id, order);
+    return order;
+  }
+
+  untrack(id) { this.orders.delete(id); }
+
+  // Fill pushed from the WebSocket fill channel
+  onFill(f) {
+    const order = this.orders.get(f.order_id);
+    if (!order) return;
+    this.addFill(order, f);
+  }
+
+  addFill(order, f) {
+    const id = f.trade_id || `${f.order_id}:${f.created_time}:${f.count}`;
+    if (order.fills.has(id)) return false;
+    const price = order.side === 'yes' ? f.yes_price : f.no_price;
+    const fill = { count: f.count, price, taker: f.is_taker !== false };
+    order.fills.set(id, fill);
+    const before = order.filled;
+    order.filled = 0; order.fillCost = 0;
+    for (const x of order.fills.values()) { order.filled += x.count; order.fillCost += x.count * x.price; }
+    if (order.filled >= order.contracts) order.status = 'executed';
+    if (order.filled !== before) this.emit('fill', order, f.count, { trade: id, ...fill });
+    return true;
+  }
+
+  /** Sync every open order with the exchange and cancel remainders near expiry. */
+  async poll() {
+    const now = Date.now();
+    // Executed on placement but fills not seen yet also need a sync
+    const open = [...this.orders.values()].filter(o => o.status === 'resting' || (o.status === 'executed' && o.filled < o.contracts));
+    const byTicker = new Map();
+    for (const o of open) {
+      if (!byTicker.has(o.ticker)) byTicker.set(o.ticker, []);
+      byTicker.get(o.ticker).push(o);
+    }
+
+    for (const [ticker, list] of byTicker) {
+      let remote = [];
+      try { remote = (await this.kalshi.getOrders({ ticker })).orders || []; }
+      catch(e) { this.emit('error', e); continue; }
+
+      for (const o of list) {
+        await this.syncFills(o);
+        const r = remote.find(x => x.order_id === o.id);
+        if (r && r.status !== 'resting' && o.status === 'resting') {
+          o.status = r.status === 'executed' ? 'executed' : 'canceled';
+          this.emit('done', o);
+        }
+
+        // Executed short of its size: done once the exchange's fill count agrees, or after enough polls
+        if (o.status === 'executed' && o.filled < o.contracts) {
+          const remoteFilled = r ? r.fill_count ?? r.initial_count - r.remaining_count : null;
+          const agreed = r && r.status !== 'resting' && remoteFilled === o.filled;
+          o.shortSyncs = (o.shortSyncs || 0) + 1;
+          if (agreed || o.shortSyncs >= MAX_SHORT_SYNCS) {
+            if (!agreed) this.emit('error', new Error(`${o.id.slice(0, 8)} ${o.ticker} executed but only ${o.filled}/${o.contracts} fills seen after ${o.shortSyncs} polls — closing on ${o.filled}`));
+            o.status = 'canceled';
+            this.emit('cancel', o, agreed ? 'remainder cancelled by exchange' : 'missing fills');
+          }
+        }
+
+        if (o.status === 'resting' && now >= o.expiry - this.cancelBeforeSec * 1000) {
+          await this.cancel(o, 'near expiry');
+        }
+      }
+    }
+  }
+
+  /** Pull an order's fills from the exchange. → false when the exchange couldn't be read */
+  async syncFills(o) {
+    try {
+      const fills = (await this.kalshi.getFills({ order_id: o.id })).fills || [];
+      for (const f of fills) this.addFill(o, f);
+      return true;
+    } catch(e) { this.emit('error', e); return false; }
+  }
+
+  async cancel(o, reason) {
+    try {
+      await this.kalshi.cancelOrder(o.id);
+    } catch(e) {
+      // Already gone — filled or cancelled on the exchange side
+      if (!(e instanceof NotFoundError)) { this.emit('error', e); return false; }
+    }
+    await this.syncFills(o);
+    if (o.status === 'resting') o.status = 'canceled';
+    this.emit('cancel', o, reason);
+    return true;
+  }
+
+  getStatus() {
+    const list = [...this.orders.values()];
+    return {
+      tracked: list.length,
+      resting: list.filter(o => o.status === 'resting').length,
+      partial: list.filter(o => o.filled > 0 && o.filled < o.contracts).length,
+    };
+  }
+}
+
+module.exports = OrderTracker;
@@ -0,0 +1,230 @@
+/**
+ * PAPER BROKER — simulated order execution for DRY_RUN
+ *
+ * Stands in for KalshiClient on the order path (placeOrder, cancelOrder,
+ * getOrders, getFills), so paper orders go through the same tracker,
+ * exit and settlement code as live ones. Fills come from the real book:
+ *
+ *   placement  — walk the opposite side up to the limit, taker fills level by level
+ *   resting    — join the back of the queue at our price
+ *   each poll  — size leaving our level eats the queue ahead, then fills us (maker);
+ *                the book trading through our price fills us at our limit; a level
+ *                that vanishes outright counts as a requote, not a fill
+ *   expiry     — unfilled remainders are cancelled at market close, or after ttlSec
+ *
+ * Our own orders never move the real book, so a paper taker can take
+ * depth a live one would have used up — keep sizes small relative to it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { KalshiError, NotFoundError } = require('./kalshi-client');
+
+// Kalshi books list bids per side, ascending: { yes: [[price, qty]], no: [[price, qty]] }
+function levels(book, side) {
+  return (book?.[side] || []).map(([p, q]) => [+p, +q]).filter(([, q]) => q > 0).sort((a, b) => b[0] - a[0]);
+}
+
+class PaperBroker {
+  constructor(kalshi, opts = {}) {
+    this.kalshi = kalshi;                          // market data only
+    this.ttlSec = opts.ttlSec ?? +(process.env.PAPER_ORDER_TTL_SEC || 0);   // 0 = rest until close
+    this.now = opts.now || (() => Date.now());
+    this.orders = new Map();                       // order_id -> Kalshi-shaped order (+ _queue state)
+    this.fills = [];
+  }
+
+  _err(status, code, method, path) {
+    const Err = status === 404 ? NotFoundError : KalshiError;
+    return new Err(status, JSON.stringify({ error: { code, message: code } }), method, path);
+  }
+
+  // Our resting order is a bid on `side` at `price` in book terms — a NO sell at 40 bids YES at 60
+  _bid(o) {
+    const limit = o.side === 'yes' ? o.yes_price : o.no_price;
+    return o.action === 'buy' ? { side: o.side, price: limit } : { side: o.side === 'yes' ? 'no' : 'yes', price: 100 - limit };
+  }
+
+  _depthAt(book, side, price) {
+    return levels(book, side).find(([p]) => p === price)?.[1] || 0;
+  }
+
+  _fill(o, price, count, taker) {
+    o.remaining_count -= count;
+    o.fill_count += count;
+    if (!o.remaining_count) o.status = 'executed';
+    this.fills.push({
+      trade_id: uuidv4(), order_id: o.order_id, ticker: o.ticker, market_ticker: o.ticker,
+      side: o.side, action: o.action, count, is_taker: taker,
+      yes_price: o.side === 'yes' ? price : 100 - price, no_price: o.side === 'no' ? price : 100 - price,
+      created_time: new Date(this.now()).toISOString(),
+    });
+  }
+
+  // ═══════════════════
+  //  ORDER ENTRY
+  // ═══════════════════
+
+  async placeOrder(body) {
+    const path = '/portfolio/orders';
+    const side = body.side, action = body.action || 'buy', count = +body.count;
+    const limit = side === 'yes' ? +body.yes_price : +body.no_price;
+    if (!['yes', 'no'].includes(side) || !['buy', 'sell'].includes(action)) throw this._err(400, 'invalid_side_or_action', 'POST', path);
+    if (!(count > 0) || !(limit >= 1 && limit <= 99)) throw this._err(400, 'invalid_count_or_price', 'POST', path);
+    if (body.client_order_id && [...this.orders.values()].some(o => o.client_order_id === body.client_order_id)) {
+      throw this._err(409, 'duplicate_client_order_id', 'POST', path);
+    }
+
+    const [m, ob] = await Promise.all([this.kalshi.getMarket(body.ticker), this.kalshi.getOrderbook(body.ticker)]);
+    const market = m.market || m;
+    if (market.status && !['open', 'active'].includes(market.status)) throw this._err(400, 'market_closed', 'POST', path);
+    const book = ob.orderbook || ob;
+
+    const now = this.now();
+    this._prune(now);
+    const close = new Date(market.close_time || market.expiration_time).getTime();
+    const o = {
+      order_id: uuidv4(), client_order_id: body.client_order_id || null, ticker: body.ticker,
+      side, action, type: body.type || 'limit', status: 'resting',
+      yes_price: side === 'yes' ? limit : 100 - limit, no_price: side === 'no' ? limit : 100 - limit,
+      initial_count: count, remaining_count: count, fill_count: 0,
+      created_time: new Date(now).toISOString(),
+      expiration_time: new Date(this.ttlSec ? Math.min(close || Infinity, now + this.ttlSec * 1000) : close).toISOString(),
+      _queue: 0, _seen: 0, _taken: {},
+    };
+    this.orders.set(o.order_id, o);
+
+    // Cross the spread: a buy lifts asks (100 − opposite bids), a sell hits our side's bids
+    const bid = this._bid(o);
+    const opposite = bid.side === 'yes' ? 'no' : 'yes';
+    for (const [p, q] of levels(book, opposite)) {
+      if (100 - p > bid.price || !o.remaining_count) break;
+      const px = action === 'buy' ? 100 - p : p;
+      const n = Math.min(q, o.remaining_count);
+      this._fill(o, px, n, true);
+      o._taken[p] = n;
+    }
+
+    // Whatever is left joins the back of the queue at our price
+    if (o.remaining_count) o._queue = o._seen = this._depthAt(book, bid.side, bid.price);
+    return { order: this._public(o) };
+  }
+
+  async cancelOrder(id) {
+    const path = `/portfolio/orders/${id}`;
+    const o = this.orders.get(id);
+    if (!o) throw this._err(404, 'order_not_found', 'DELETE', path);
+    await this._work(o.ticker);   // fills that happened before the cancel still count
+    if (o.status !== 'resting') throw this._err(400, 'order_not_resting', 'DELETE', path);
+    const reduced = o.remaining_count;
+    o.status = 'canceled';
+    o.remaining_count = 0;
+    return { order: this._public(o), reduced_by: reduced };
+  }
+
+  // ═══════════════════
+  //  QUEUE SIMULATION
+  // ═══════════════════
+
+  /** Match resting orders on `tickers` against a fresh book each. */
+  async _work(...tickers) {
+    const now = this.now();
+    for (const ticker of tickers) {
+      const resting = [...this.orders.values()].filter(o => o.ticker === ticker && o.status === 'resting');
+      if (!resting.length) continue;
+      let book;
+      try { book = (await this.kalshi.getOrderbook(ticker)).orderbook; }
+      catch(e) {
+        if (!(e instanceof NotFoundError)) throw e;
+        book = null;   // market gone — everything expires below
+      }
+
+      for (const o of resting) {
+        if (!book || now >= new Date(o.expiration_time).getTime()) {
+          o.status = 'canceled';
+          o.remaining_count = 0;
+          continue;
+        }
+        const bid = this._bid(o);
+        const limit = o.side === 'yes' ? o.yes_price : o.no_price;
+
+        // Book traded through us — asks at or below our bid would have hit us first.
+        // Size we already took stays taken until the level shrinks below it.
+        const opposite = bid.side === 'yes' ? 'no' : 'yes';
+        let crossed = 0;
+        for (const [p, q] of levels(book, opposite)) {
+          if (100 - p > bid.price) break;
+          const taken = Math.min(o._taken[p] || 0, q);
+          const n = Math.min(q - taken, o.remaining_count - crossed);
+          o._taken[p] = taken + n;
+          crossed += n;
+        }
+        for (const p of Object.keys(o._taken)) if (100 - p > bid.price) delete o._taken[p];
+        const depth = this._depthAt(book, bid.side, bid.price);
+        if (crossed) {
+          this._fill(o, limit, crossed, false);
+          o._queue = 0; o._seen = depth;
+          continue;
+        }
+
+        // A level that vanished outright was requoted away, not swept — a sweep through
+        // our price shows up as a cross. Nobody is ahead of us any more, but nothing traded.
+        if (!depth) { o._queue = 0; o._seen = 0; continue; }
+
+        // Size leaving our level came off the front of the queue; past it, off us
+        const gone = Math.max(0, o._seen - depth);
+        const ahead = Math.min(o._queue, gone);
+        o._queue -= ahead;
+        const ours = Math.min(gone - ahead, o.remaining_count);
+        if (ours > 0) this._fill(o, limit, ours, false);
+        o._seen = depth;
+      }
+    }
+  }
+
+  // ═══════════════════
+  //  QUERIES
+  // ═══════════════════
+
+  // Done orders an hour past expiry are nobody's business any more
+  _prune(now) {
+    for (const [id, o] of this.orders) {
+      if (o.status !== 'resting' && now > new Date(o.expiration_time).getTime() + 3600000) this.orders.delete(id);
+    }
+    this.fills = this.fills.filter(f => this.orders.has(f.order_id));
+  }
+
+  _public(o) {
+    const out = {};
+    for (const [k, v] of Object.entries(o)) if (!k.startsWith('_')) out[k] = v;
+    return out;
+  }
+
+  async getOrders(params = {}) {
+    const tickers = params.ticker ? [params.ticker] : [...new Set([...this.orders.values()].filter(o => o.status === 'resting').map(o => o.ticker))];
+    await this._work(...tickers);
+    const orders = [...this.orders.values()]
+      .filter(o => (!params.ticker || o.ticker === params.ticker) && (!params.status || o.status === params.status))
+      .reverse()
+      .slice(0, params.limit || Infinity)
+      .map(o => this._public(o));
+    return { orders, cursor: '' };
+  }
+
+  async getFills(params = {}) {
+    const fills = this.fills.filter(f => (!params.ticker || f.ticker === params.ticker) && (!params.order_id || f.order_id === params.order_id));
+    return { fills: fills.slice().reverse().slice(0, params.limit || Infinity), cursor: '' };
+  }
+
+  getStatus() {
+    const list = [...this.orders.values()];
+    return {
+      orders: list.length,
+      resting: list.filter(o => o.status === 'resting').length,
+      fills: this.fills.length,
+      contracts: this.fills.reduce((n, f) => n + f.count, 0),
+      ttlSec: this.ttlSec,
+    };
+  }
+}
+
+module.exports = PaperBroker;
@@ -0,0 +1,73 @@
+/**
+ * RECENCY — time-aware learned buckets
+ *
+ * A bucket's wins/losses are all-time and equally weighted: a quiet week
+ * counts as much as the last hour of a volatile session. Each bucket also
+ * carries two recent views, updated as results land:
+ *
+ *   halflife — rw/rl: counts decayed by ½ every recencyHalfLifeHours, as of t
+ *   window   — h: { hourIndex: [wins, losses] }, the last MAX_WINDOW_H hours
+ *
+ * recent() reads whichever cfg.recency names. With recencyWeighting the
+ * estimate runs on it instead of the all-time counts, and drift() flags a
+ * bucket whose recent results disagree with its history.
+ */
+
+const stats = require('./stats');
+
+const HOUR = 3600000;
+const MAX_WINDOW_H = 168;   // hourly bins kept per bucket — the longest window that can be asked for
+
+function decay(ms, halfLifeHours) {
+  return Math.pow(0.5, Math.max(0, ms) / (halfLifeHours * HOUR));
+}
+
+/** Count one result into bucket `b` at time `at`. opts: cfg (recencyHalfLifeHours). */
+function record(b, won, at, opts) {
+  b[won ? 'wins' : 'losses']++;
+
+  const f = b.t ? decay(at - b.t, opts.recencyHalfLifeHours) : 0;
+  b.rw = +((b.rw || 0) * f + (won ? 1 : 0)).toFixed(4);
+  b.rl = +((b.rl || 0) * f + (won ? 0 : 1)).toFixed(4);
+  b.t = Math.max(at, b.t || 0);
+
+  const hour = Math.floor(at / HOUR);
+  b.h = b.h || {};
+  const bin = b.h[hour] || (b.h[hour] = [0, 0]);
+  bin[won ? 0 : 1]++;
+  for (const k of Object.keys(b.h)) if (+k <= hour - MAX_WINDOW_H) delete b.h[k];
+}
+
+/** Recent { wins, n } for bucket `b` at `now` — weighted, so n need not be whole. */
+function recent(b, now, opts) {
+  if (opts.recency === 'window') {
+    const from = Math.floor(now / HOUR) - Math.min(opts.recencyWindowHours, MAX_WINDOW_H);
+    let wins = 0, n = 0;
+    for (const [k, [w, l]] of Object.entries(b.h || {})) {
+      if (+k > from) { wins += w; n += w + l; }
+    }
+    return { wins, n };
+  }
+  if (!b.t) return { wins: 0, n: 0 };
+  const f = decay(now - b.t, opts.recencyHalfLifeHours);
+  return { wins: (b.rw || 0) * f, n: ((b.rw || 0) + (b.rl || 0)) * f };
+}
+
+/**
+ * Recent vs the rest of a bucket's history, two-proportion z-test at
+ * driftConfidence. Null unless both sides hold driftMinN results and the
+ * win rates differ by at least driftMinGap as well as significantly.
+ */
+function drift(rec, all, opts) {
+  const older = { wins: all.wins - rec.wins, n: all.n - rec.n };
+  if (rec.n < opts.driftMinN || older.n < opts.driftMinN) return null;
+  const p1 = rec.wins / rec.n, p2 = older.wins / older.n;
+  const p = all.wins / all.n;
+  const se = Math.sqrt(p * (1 - p) * (1 / rec.n + 1 / older.n));
+  const gap = p1 - p2;
+  const z = se > 0 ? gap / se : 0;
+  if (Math.abs(gap) < opts.driftMinGap || Math.abs(z) < stats.normInv(1 - (1 - opts.driftConfidence) / 2)) return null;
+  return { recentWr: +p1.toFixed(4), olderWr: +p2.toFixed(4), allWr: +p.toFixed(4), recentN: +rec.n.toFixed(1), olderN: +older.n.toFixed(1), z: +z.toFixed(2) };
+}
+
+module.exports = { record, recent, drift, MAX_WINDOW_H };
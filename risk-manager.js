@@ -0,0 +1,145 @@
+/**
+ * RISK MANAGER — pre-trade portfolio limits
+ *
+ * Six open positions can be one bet six times: BTC 15M and 5M closing
+ * the same minute, or BTC/ETH/SOL moving together. Every new order is
+ * checked against what is already open:
+ *
+ *   exposure     — total open cost ≤ maxExposure × bankroll
+ *   asset        — open cost per asset ≤ maxAsset × bankroll
+ *   expiry       — open cost per expiry minute (all assets) ≤ maxExpiry × bankroll
+ *   daily-loss   — realised loss this UTC day ≥ dailyLoss × session-start bankroll → stop until tomorrow
+ *   loss-streak  — maxLossStreak losses in a row → stop for streakCooldownMin
+ *
+ * check() returns the first rule that fires, or null.
+ */
+
+class RiskManager {
+  constructor(opts = {}) {
+    this.maxExposure = opts.maxExposure ?? 0.40;
+    this.maxAsset = opts.maxAsset ?? 0.20;
+    this.maxExpiry = opts.maxExpiry ?? 0.15;
+    this.dailyLoss = opts.dailyLoss ?? 0.20;
+    this.maxLossStreak = opts.maxLossStreak ?? 5;
+    this.streakCooldownMin = opts.streakCooldownMin ?? 60;
+
+    this.session = null;          // UTC day, e.g. 2026-10-19
+    this.sessionStart = null;     // bankroll when the session began
+    this.realised = 0;            // net P&L booked this session
+    this.lossStreak = 0;
+    this.haltedUntil = 0;
+    this.haltReason = null;
+    this.rejections = {};         // rule -> count
+  }
+
+  _roll(now, bankroll) {
+    const day = new Date(now).toISOString().slice(0, 10);
+    if (day === this.session) return;
+    this.session = day;
+    this.sessionStart = bankroll;
+    this.realised = 0;
+    if (this.haltReason === 'daily-loss') { this.haltedUntil = 0; this.haltReason = null; }
+  }
+
+  _nextSession(now) {
+    const d = new Date(now);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  }
+
+  _reject(rule, detail) {
+    this.rejections[rule] = (this.rejections[rule] || 0) + 1;
+    return { rule, detail };
+  }
+
+  // ═══════════════════
+  //  PRE-TRADE
+  // ═══════════════════
+
+  /**
+   * order:     { ticker, asset, expiry, cost } — cost in dollars, fee included
+   * positions: [{ ticker, asset, expiry, cost }] already open
+   */
+  check(order, positions, bankroll, now = Date.now()) {
+    this._roll(now, bankroll);
+    const halt = this.haltCheck(now);
+    if (halt) return halt;
+
+    const $ = (x) => `$${x.toFixed(2)}`;
+    const minute = (t) => Math.floor(t / 60000);
+    let total = 0, asset = 0, expiry = 0;
+    for (const p of positions) {
+      total += p.cost;
+      if (p.asset === order.asset) asset += p.cost;
+      if (minute(p.expiry) === minute(order.expiry)) expiry += p.cost;
+    }
+
+    const cap = (frac) => frac * bankroll;
+    if (total + order.cost > cap(this.maxExposure)) {
+      return this._reject('exposure', `${$(total)} open + ${$(order.cost)} > ${(this.maxExposure * 100).toFixed(0)}% (${$(cap(this.maxExposure))})`);
+    }
+    if (asset + order.cost > cap(this.maxAsset)) {
+      return this._reject('asset', `${order.asset} ${$(asset)} open + ${$(order.cost)} > ${(this.maxAsset * 100).toFixed(0)}% (${$(cap(this.maxAsset))})`);
+    }
+    if (expiry + order.cost > cap(this.maxExpiry)) {
+      const hhmm = new Date(order.expiry).toISOString().slice(11, 16);
+      return this._reject('expiry', `${hhmm}Z ${$(expiry)} open + ${$(order.cost)} > ${(this.maxExpiry * 100).toFixed(0)}% (${$(cap(this.maxExpiry))})`);
+    }
+    return null;
+  }
+
+  // ═══════════════════
+  //  POST-TRADE
+  // ═══════════════════
+
+  /** Book a settled position. Returns a halt message when a stop trips. */
+  onSettle(pnl, bankroll, now = Date.now()) {
+    this._roll(now, bankroll - pnl);
+    this.realised += pnl;
+    this.lossStreak = pnl < 0 ? this.lossStreak + 1 : 0;
+
+    if (this.sessionStart > 0 && -this.realised >= this.dailyLoss * this.sessionStart && this.haltReason !== 'daily-loss') {
+      this.haltedUntil = this._nextSession(now);
+      this.haltReason = 'daily-loss';
+      return `daily loss $${(-this.realised).toFixed(2)} ≥ ${(this.dailyLoss * 100).toFixed(0)}% of $${this.sessionStart.toFixed(2)} — stopped until next session`;
+    }
+    if (this.maxLossStreak && this.lossStreak >= this.maxLossStreak && now >= this.haltedUntil) {
+      this.haltedUntil = now + this.streakCooldownMin * 60000;
+      this.haltReason = 'loss-streak';
+      this.lossStreak = 0;
+      return `${this.maxLossStreak} losses in a row — stopped for ${this.streakCooldownMin}min`;
+    }
+    return null;
+  }
+
+  halted(now = Date.now()) {
+    return now < this.haltedUntil;
+  }
+
+  /** The stop in force as a rejection { rule, detail }, counted like any other — null when trading is allowed. */
+  haltCheck(now = Date.now()) {
+    if (!this.halted(now)) return null;
+    return this._reject(this.haltReason, `halted until ${new Date(this.haltedUntil).toISOString().slice(0, 16)}Z`);
+  }
+
+  serialize() {
+    return { session: this.session, sessionStart: this.sessionStart, realised: this.realised, lossStreak: this.lossStreak,
+      haltedUntil: this.haltedUntil, haltReason: this.haltReason };
+  }
+
+  restore(s) {
+    if (!s) return;
+    Object.assign(this, {
+      session: s.session ?? null, sessionStart: s.sessionStart ?? null, realised: s.realised || 0,
+      lossStreak: s.lossStreak || 0, haltedUntil: s.haltedUntil || 0, haltReason: s.haltReason || null,
+    });
+  }
+
+  getStatus(now = Date.now()) {
+    return {
+      ...this.serialize(), halted: this.halted(now), rejections: { ...this.rejections },
+      limits: { maxExposure: this.maxExposure, maxAsset: this.maxAsset, maxExpiry: this.maxExpiry, dailyLoss: this.dailyLoss, maxLossStreak: this.maxLossStreak },
+    };
+  }
+}
+
+module.exports = RiskManager;
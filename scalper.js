@@ -3,7 +3,8 @@
  * 
  * Phase 1 (LEARN): Watch markets resolve. Record everything.
  *                   Build empirical probability tables.
- * Phase 2 (TRADE): Bet ONLY when observed win rates exceed market price.
+ * Phase 2 (TRADE): Bet ONLY when the conservative end of the observed win
+ *                   rate's confidence interval exceeds market price.
  *                   Keep learning from every trade.
  *
  * It gets smarter over time. More data = better decisions.
@@ -12,63 +13,268 @@
 const EventEmitter = require('events');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs');
+const { NotFoundError } = require('./kalshi-client');
+const stats = require('./stats');
+const fees = require('./fees');
+const sizing = require('./sizing');
+const config = require('./config');
+const PaperBroker = require('./paper-broker');
+const ShadowBook = require('./shadow');
+const DataStore = require('./data-store');
+const recency = require('./recency');
+const Ladder = require('./ladder');
 
 const DATA_FILE = './learned_data.json';
+const JOURNAL_FILE = './order_journal.jsonl';
+const KILL_FILE = './kill_switch.json';
+const CORRECTION_FILE = './correction_state.json';
+const MIN_BUCKET_N = 3;   // observations a learned bucket needs before it is trusted
+const CONFIG_FILE = './config_overrides.json';
+const CONFIG_AUDIT_FILE = './config_audit.jsonl';
+const DATA_VERSION = 3;
+const GLOBAL_TABLE = 'ALL';
+
+// learned_data.json history — each step upgrades the data by one version (see DataStore)
+const DATA_MIGRATIONS = {
+  // v1 kept one flat table for every series — it becomes the global table
+  1: ({ buckets, ...d }) => ({ ...d, tables: { [GLOBAL_TABLE]: buckets || {} } }),
+  // v3 buckets carry recency fields (t, rw, rl, h) — older ones gain them with their next result
+  2: (d) => d,
+};
+
+// Structural check on load — a torn or hand-mangled file fails here instead of poisoning the tables
+function validateData(d) {
+  const isObj = (x) => x && typeof x === 'object' && !Array.isArray(x);
+  const count = (x) => typeof x === 'number' && Number.isFinite(x) && x >= 0;
+  if (!isObj(d.tables)) return 'tables missing';
+  if (d.features != null && !isObj(d.features)) return 'features is not an object';
+  if (d.outcomes != null && !Array.isArray(d.outcomes)) return 'outcomes is not a list';
+  if (d.totalObserved != null && !count(d.totalObserved)) return 'totalObserved is not a count';
+  for (const [kind, tables] of [['tables', d.tables], ['features', d.features || {}]]) {
+    for (const [name, table] of Object.entries(tables)) {
+      if (!isObj(table)) return `${kind}.${name} is not an object`;
+      for (const [key, b] of Object.entries(table)) {
+        if (!isObj(b) || !count(b.wins) || !count(b.losses)) return `${kind}.${name}.${key} has bad counts`;
+      }
+    }
+  }
+  return null;
+}
 
 class BTCScalper extends EventEmitter {
   constructor(cfg = {}) {
     super();
     const KalshiClient = require('./kalshi-client');
     const BTCFeed = require('./btc-feed');
-
-    this.kalshi = new KalshiClient();
+    const KalshiWS = require('./kalshi-ws');
+    const OrderTracker = require('./order-tracker');
+    const OrderJournal = require('./order-journal');
+    const ExitManager = require('./exit-manager');
+    const TapeRecorder = require('./tape-recorder');
+    const RiskManager = require('./risk-manager');
+    const CorrectionEngine = require('./correction-engine');
+    const Execution = require('./execution');
+    const DecisionJournal = require('./decision-journal');
+    const Arbitrage = require('./arbitrage');
+
+    // Offline instances (backtests) get no exchange, no stream, no tape and no learned data from disk
+    this.offline = !!cfg.offline;
+    this.kalshi = this.offline ? null : new KalshiClient();
     this.feed = new BTCFeed();
 
     this.cfg = {
       scanMs: cfg.scanMs || +process.env.SCAN_INTERVAL_MS || 10000,
       dryRun: (process.env.DRY_RUN || 'false').toLowerCase() === 'true',
-      minObservations: +process.env.MIN_OBSERVATIONS || 10,
+      // Paper orders rest until the market closes unless given a shorter life
+      paperTtlSec: +(process.env.PAPER_ORDER_TTL_SEC || 0),
+      // Thin buckets are handled by the interval, not a sample-count gate
+      confidence: +(process.env.CONFIDENCE || 0.9),
+      estimator: (process.env.EDGE_ESTIMATOR || 'beta').toLowerCase(),
+      priorStrength: +(process.env.PRIOR_STRENGTH || 10),
+      // Which learned buckets estimate the win rate: distance model then price (auto), or one alone
+      bucketScheme: (process.env.BUCKET_SCHEME || 'auto').toLowerCase(),
+      // What "recent" means for a bucket, whether estimates use it, and when recent vs older results disagree too much to trade
+      recency: (process.env.RECENCY_MODE || 'halflife').toLowerCase(),
+      recencyHalfLifeHours: +(process.env.RECENCY_HALFLIFE_H || 24),
+      recencyWindowHours: +(process.env.RECENCY_WINDOW_H || 24),
+      recencyWeighting: (process.env.RECENCY_WEIGHTING || 'false').toLowerCase() === 'true',
+      driftGuard: (process.env.DRIFT_GUARD || 'true').toLowerCase() !== 'false',
+      driftConfidence: +(process.env.DRIFT_CONFIDENCE || 0.95),
+      driftMinGap: +(process.env.DRIFT_MIN_GAP || 0.10),
+      driftMinN: +(process.env.DRIFT_MIN_N || 10),
       minEdge: +(process.env.MIN_EDGE || 0.06),
       maxBets: +process.env.MAX_SIMULTANEOUS_BETS || 6,
+      // Fractional Kelly on the interval's lower bound, capped per bet, floored at minContracts
+      kellyFraction: +(process.env.KELLY_FRACTION || 0.25),
+      maxBetFraction: +(process.env.MAX_BET_FRACTION || 0.10),
+      minContracts: +(process.env.MIN_CONTRACTS || 1),
+      floorMaxFrac: +(process.env.FLOOR_MAX_FRACTION || 0.15),   // a bet raised to minContracts may outgrow the Kelly cap, never this
+      // Portfolio limits — fractions of bankroll, checked before every order
+      riskMaxExposure: +(process.env.RISK_MAX_EXPOSURE || 0.40),
+      riskMaxAsset: +(process.env.RISK_MAX_ASSET || 0.20),
+      riskMaxExpiry: +(process.env.RISK_MAX_EXPIRY || 0.15),
+      riskDailyLoss: +(process.env.RISK_DAILY_LOSS || 0.20),
+      riskMaxLossStreak: +(process.env.RISK_MAX_LOSS_STREAK || 5),
+      riskStreakCooldownMin: +(process.env.RISK_STREAK_COOLDOWN_MIN || 60),
+      series: ['KXBTC15M', 'KXETH15M', 'KXSOL15M', 'KXBTC5M', 'KXETH5M', 'KXSOL5M'],
+      stream: !cfg.offline && (process.env.KALSHI_WS || 'true').toLowerCase() !== 'false',
+      discoverMs: +process.env.DISCOVER_INTERVAL_MS || 60000,
+      snapshotMs: +process.env.SNAPSHOT_INTERVAL_MS || 5000,
+      cancelBeforeSec: +(process.env.CANCEL_BEFORE_SEC || 15),
+      exits: (process.env.EXIT_ENABLED || 'true').toLowerCase() !== 'false',
+      stopLossCents: +(process.env.EXIT_STOP_LOSS_C || 25),
+      takeProfitCents: +(process.env.EXIT_TAKE_PROFIT_C || 98),
+      modelFlip: (process.env.EXIT_MODEL_FLIP || 'true').toLowerCase() !== 'false',
+      tape: !cfg.offline && (process.env.TAPE_ENABLED || 'true').toLowerCase() !== 'false',
+      decisions: !cfg.offline && (process.env.DECISIONS_ENABLED || 'true').toLowerCase() !== 'false',
+      flattenSlipCents: +(process.env.FLATTEN_SLIP_C || 5),
+      // Entry pricing — join / improve / cross from the book, reprice up to maxChase over the decision price
+      execImproveTicks: +(process.env.EXEC_IMPROVE_TICKS || 1),
+      execMaxChaseCents: +(process.env.EXEC_MAX_CHASE_C || 3),
+      execCrossSecs: +(process.env.EXEC_CROSS_SECS || 45),
+      execCrossEdge: +(process.env.EXEC_CROSS_EDGE || 0.12),
+      execJoinSecs: +(process.env.EXEC_JOIN_SECS || 180),
+      // Locked YES/NO pairs — both asks under 100¢ after fees, or a held entry completed by the opposite ask
+      arb: (process.env.ARB_ENABLED || 'false').toLowerCase() === 'true',
+      arbComplete: (process.env.ARB_COMPLETE || 'true').toLowerCase() !== 'false',
+      arbMinProfitCents: +(process.env.ARB_MIN_PROFIT_C || 2),
+      arbMaxContracts: +(process.env.ARB_MAX_CONTRACTS || 20),
+      arbMaxFraction: +(process.env.ARB_MAX_FRACTION || 0.20),
+      arbLegTimeoutSec: +(process.env.ARB_LEG_TIMEOUT_SEC || 20),
+      arbMaxHedgeLossCents: +(process.env.ARB_MAX_HEDGE_LOSS_C || 3),
+      // Cross-strike consistency of the BTC threshold / range ladders (LADDER_SERIES), checked every ladderMs
+      ladder: !cfg.offline && (process.env.LADDER_ENABLED || 'true').toLowerCase() !== 'false',
+      ladderMs: +(process.env.LADDER_INTERVAL_MS || 60000),
+      ladderMinProfitCents: +(process.env.LADDER_MIN_PROFIT_C || 1),
+      // Streak / direction / vol / time-of-day adjustments to the edge bar and bet size
+      correction: !cfg.offline && (process.env.CORRECTION_ENABLED || 'true').toLowerCase() !== 'false',
     };
+    // Settings changed over /api/config outlive restarts — except dryRun, which DRY_RUN always decides
+    if (!this.offline) this._loadConfig();
+
+    // Pre-trade exposure / correlation limits, daily loss and loss-streak stops
+    this.risk = new RiskManager({
+      maxExposure: this.cfg.riskMaxExposure, maxAsset: this.cfg.riskMaxAsset, maxExpiry: this.cfg.riskMaxExpiry,
+      dailyLoss: this.cfg.riskDailyLoss, maxLossStreak: this.cfg.riskMaxLossStreak, streakCooldownMin: this.cfg.riskStreakCooldownMin,
+    });
+
+    // Raw history — snapshots, signals, orders, settlements (see TapeReader)
+    this.tape = this.cfg.tape ? new TapeRecorder() : null;
+
+    // Every evaluated opportunity with its inputs and, once known, its outcome
+    this.decisions = this.cfg.decisions ? new DecisionJournal() : null;
+
+    // Where orders go — the exchange, or in dry-run a paper broker filling against the real book
+    this.paper = this.cfg.dryRun && this.kalshi ? new PaperBroker(this.kalshi, { ttlSec: this.cfg.paperTtlSec }) : null;
+    this.broker = this.paper || this.kalshi;
+
+    // Live order lifecycle — fills, partials, cancel-before-expiry
+    this.tracker = new OrderTracker(this.broker, { cancelBeforeSec: this.cfg.cancelBeforeSec });
+    this.tracker.on('fill', (o, n, f) => {
+      this._journalFill(o, f);
+      this._journalUpdate(o);
+      if (o.decision) this.decisions?.update(o.decision, { orders: { [o.id]: { price: o.price, filled: o.filled, fillCost: o.fillCost } } });
+      this.tape?.order('fill', o, { count: n });
+      this._log(o.action === 'sell' ? '📤 Sold' : '📥 Filled', `${o.id.slice(0, 8)} +${n} → ${o.filled}/${o.contracts} ${o.ticker}`);
+    });
+    this.tracker.on('cancel', (o, why) => {
+      this._journalUpdate(o);
+      this.tape?.order('cancel', o, { reason: why });
+      this._log('🚫 Cancel', `${o.id.slice(0, 8)} ${o.ticker} ${o.action === 'sell' ? 'exit ' : ''}${o.filled}/${o.contracts} filled (${why})`);
+    });
+    this.tracker.on('error', e => this._log('⚠️ Orders', e.message));
+
+    // Entry order pricing off the live book (the real one, even when paper trading)
+    this.execution = new Execution(this.kalshi, {
+      improveTicks: this.cfg.execImproveTicks, maxChaseCents: this.cfg.execMaxChaseCents,
+      crossSecs: this.cfg.execCrossSecs, crossEdge: this.cfg.execCrossEdge, joinSecs: this.cfg.execJoinSecs,
+    });
+
+    // Sell-to-close before expiry — exit legs are tracked alongside their entry
+    this.exits = new ExitManager(this.broker, this.tracker, this.cfg);
+
+    // Implied distributions across strikes that share a close time — violations surface at /api/ladder
+    this.ladder = this.offline ? null : new Ladder(this.kalshi, { minProfitCents: this.cfg.ladderMinProfitCents });
+
+    // Live market data — REST discovery slows down while this is connected
+    this.stream = this.cfg.stream ? new KalshiWS(this.kalshi) : null;
+    this._lastDiscovery = 0;
+    if (this.stream) {
+      this.stream.on('quote', (ticker, q) => this._onQuote(ticker, q));
+      this.stream.on('fill', f => this.tracker.onFill(f));
+      this.stream.on('connected', () => this._log('📡 Stream', 'connected'));
+      this.stream.on('disconnected', () => this._log('📡 Stream', 'disconnected — falling back to REST polling'));
+    }
 
     this.running = false;
     this.paused = false;
     this._intervals = [];
     this._cycleCount = 0;
+    this._halt = null;   // risk halt in force: { until, verdict, tickers journaled under it }
 
     // Bankroll
     this.bankroll = +process.env.STARTING_BANKROLL || 60;
     this.peak = this.bankroll;
     this.totalBets = 0; this.totalWins = 0; this.totalLosses = 0;
     this.totalWagered = 0; this._streak = 0;
+    this.totalExits = 0; this.exitPnl = 0; this.settlePnl = 0;   // realised P&L by how positions closed
+    this.totalFees = 0;
     this._pausedUntil = 0;
 
-    // Active tracking
+    // Active tracking — journaled so a restart can rebuild it
     this.activeOrders = new Map();
     this.activeTickers = new Set();
+    this.journal = new OrderJournal(JOURNAL_FILE);
+    this._recovered = false;
+
+    // Same-market YES/NO pairs — legs tracked with everything else, P&L kept apart from directional bets
+    this.arb = new Arbitrage(this.broker, this.tracker, this.kalshi, {
+      orders: this.activeOrders, dry: !!this.paper,
+      minProfitCents: this.cfg.arbMinProfitCents, maxContracts: this.cfg.arbMaxContracts, maxFraction: this.cfg.arbMaxFraction,
+      legTimeoutSec: this.cfg.arbLegTimeoutSec, maxHedgeLossCents: this.cfg.arbMaxHedgeLossCents,
+    });
+    this.arb.on('leg', (pair, leg) => this.tape?.order('arb', leg, { pair: pair.id, kind: pair.kind, role: leg.role }));
+    this.arb.on('hedge', (pair, leg, lock) => this._log('🧷 Hedge', `${pair.ticker} buy ${leg.side.toUpperCase()} ×${leg.contracts} @${leg.price}¢ against the filled leg — ${lock >= 0 ? '+' : ''}${lock}¢ a pair`));
+    this.arb.on('unwind', (pair, leg) => this._log('↩️ Unwind', `${pair.ticker} sell ${leg.side.toUpperCase()} ×${leg.contracts} @${leg.price}¢ — no hedge within ${this.cfg.arbMaxHedgeLossCents}¢`));
+    this.arb.on('exposed', (pair, side, n) => this._log('⚠️ Arb', `${pair.ticker} ${n} ${side.toUpperCase()} unmatched — held to settlement`));
+    this.arb.on('closed', pair => this._arbClosed(pair));
+    this.arb.on('error', e => this._log('⚠️ Arb', e.message));
+    if (!this.offline) this.arb.load();
 
     // Market watching
     this.watchlist = new Map();
 
     // Learned data — empirical results from watching markets resolve
-    this.learnedData = { outcomes: [], buckets: {}, totalObserved: 0 };
-    this._loadData();
-
-    // Correction engine stub (for server.js compat)
-    this.correction = {
-      getCurrentTimeWindow: () => 'all',
-      getSizeMultiplier: () => 1.0,
-      getStatus: () => ({ stub: true }),
-      restore: () => {},
-      on: () => {},
-    };
+    // tables:   { BTC_15M: {fav90_3m: {wins, losses}}, BTC: {...}, ALL: {...} }
+    // features: same chain, keyed by strike distance / time / regime — dist1.5_3m, dist1.5_3m_RANGING
+    this.learnedData = { version: DATA_VERSION, outcomes: [], tables: { [GLOBAL_TABLE]: {} }, features: {}, totalObserved: 0 };
+    this.store = new DataStore(DATA_FILE, { version: DATA_VERSION, migrations: DATA_MIGRATIONS, validate: validateData });
+    if (!this.offline) this._loadData();
+
+    // Correction engine — learns from our own settled bets, null when disabled
+    this.correction = null;
+    if (this.cfg.correction) {
+      this.correction = new CorrectionEngine();
+      this._loadCorrection();
+      this.correction.on('update', ev => this.emit('correction', ev));
+    }
+
+    // Named variants paper-trading the same markets beside us (SHADOW_STRATEGIES='{"tight":{"minEdge":0.1}}')
+    this.shadows = null;
+    if (!this.offline) {
+      this.shadows = new ShadowBook(this);
+      let defs = {};
+      try { defs = JSON.parse(process.env.SHADOW_STRATEGIES || '{}'); }
+      catch(e) { console.log(`[SCALPER] SHADOW_STRATEGIES is not JSON: ${e.message}`); }
+      this.shadows.load(defs);
+    }
 
     // Log + history
     this.logs = [];
     this.bets = [];
 
-    console.log(`[SCALPER] v3 LEARN-FIRST | bank:$${this.bankroll} | minObs:${this.cfg.minObservations} | dryRun:${this.cfg.dryRun}`);
+    if (this.offline) return;
+    console.log(`[SCALPER] v3 LEARN-FIRST | bank:$${this.bankroll} | conf:${this.cfg.confidence} ${this.cfg.estimator} | dryRun:${this.cfg.dryRun}`);
     console.log(`[SCALPER] Learned data: ${this.learnedData.totalObserved} observations loaded`);
   }
 
@@ -76,17 +282,214 @@ class BTCScalper extends EventEmitter {
   //  DATA PERSISTENCE
   // ═══════════════════
 
+  // An unusable file is left alone — we learn into memory until /api/data/recover says otherwise
   _loadData() {
+    const d = this.store.load();
+    if (d) {
+      this.learnedData = this._normalizeData(d);
+      console.log(`[SCALPER] Loaded ${this.learnedData.totalObserved} observations`);
+    } else if (this.store.corrupt) {
+      console.log(`[SCALPER] ⚠️ Learned data NOT loaded (${this.store.corrupt.error}) — learning into memory only until recovered`);
+    } else {
+      console.log('[SCALPER] Starting fresh — no prior data');
+    }
+  }
+
+  _normalizeData(d) {
+    d.tables = d.tables || {};
+    d.tables[GLOBAL_TABLE] = d.tables[GLOBAL_TABLE] || {};
+    d.features = d.features || {};
+    d.outcomes = d.outcomes || [];
+    d.totalObserved = d.totalObserved || 0;
+    return d;
+  }
+
+  _saveData() {
+    this.store.save(this.learnedData);
+  }
+
+  /**
+   * Recovery for an unusable learned_data.json: 'fresh' keeps what has been
+   * learned since start, a backup name (see store.listBackups()) restores it.
+   */
+  recoverData(source) {
+    const d = this.store.recover(source);
+    if (d) this.learnedData = this._normalizeData(d);
+    this._saveData();
+    this._log('🩹 Data', `recovered from ${source} — ${this.learnedData.totalObserved} observations`);
+    return this.store.getStatus();
+  }
+
+  _loadCorrection() {
     try {
-      if (fs.existsSync(DATA_FILE)) {
-        this.learnedData = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-        console.log(`[SCALPER] Loaded ${this.learnedData.totalObserved} observations`);
+      if (fs.existsSync(CORRECTION_FILE)) this.correction.restore(fs.readFileSync(CORRECTION_FILE, 'utf8'));
+    } catch(e) { console.log('[SCALPER] No correction state to restore'); }
+  }
+
+  _saveCorrection() {
+    if (!this.correction) return;
+    try {
+      fs.writeFileSync(CORRECTION_FILE + '.tmp', this.correction.serialize());
+      fs.renameSync(CORRECTION_FILE + '.tmp', CORRECTION_FILE);
+    } catch(e) { console.log(`[SCALPER] Correction save failed: ${e.message}`); }
+  }
+
+  _statsState() {
+    return {
+      bankroll: this.bankroll, peak: this.peak, totalBets: this.totalBets, totalWins: this.totalWins,
+      totalLosses: this.totalLosses, totalWagered: this.totalWagered, streak: this._streak,
+      totalExits: this.totalExits, exitPnl: this.exitPnl, settlePnl: this.settlePnl, totalFees: this.totalFees,
+      risk: this.risk.serialize(),
+      bets: this.bets.slice(-50),
+    };
+  }
+
+  // ══════════════════════════════════════
+  //  RECOVERY — rebuild the open book after a restart
+  //
+  //  Journal says what we placed. The exchange says
+  //  what we hold. Reconcile the two, flag every
+  //  difference, and resume settlement tracking.
+  // ══════════════════════════════════════
+
+  async _recover() {
+    const { open, stats } = this.journal.load();
+
+    if (stats) {
+      this.peak = Math.max(this.peak, stats.peak || 0);
+      this.totalBets = stats.totalBets || 0; this.totalWins = stats.totalWins || 0; this.totalLosses = stats.totalLosses || 0;
+      this.totalWagered = stats.totalWagered || 0; this._streak = stats.streak || 0;
+      this.totalExits = stats.totalExits || 0; this.exitPnl = stats.exitPnl || 0; this.settlePnl = stats.settlePnl || 0;
+      this.totalFees = stats.totalFees || 0;
+      this.risk.restore(stats.risk);
+      this.bets = stats.bets || [];
+      if (this.cfg.dryRun && stats.bankroll != null) this.bankroll = stats.bankroll;
+    }
+
+    const recovered = new Map();
+    const flags = [];
+
+    if (this.cfg.dryRun) {
+      // Paper orders only ever lived in the journal, and the paper book died with the process
+      for (const [id, o] of open) {
+        if (!o.dry) continue;
+        for (const x of [o, ...(o.exits || [])]) if (x.status === 'resting') x.status = 'canceled';
+        recovered.set(id, o);
+      }
+    } else {
+      const [posRes, ordRes, fillRes] = await Promise.all([
+        this.kalshi.getPositions({ limit: 200 }),
+        this.kalshi.getOrders({ status: 'resting', limit: 200 }),
+        this.kalshi.getFills({ limit: 200 }),
+      ]);
+      const positions = (posRes.market_positions || []).filter(p => p.position);
+      const resting = ordRes.orders || [];
+      const fills = fillRes.fills || [];
+
+      // Journaled orders — confirm each one against the exchange
+      for (const [id, o] of open) {
+        if (o.dry) continue;
+        const r = resting.find(x => x.order_id === id);
+        const f = fills.filter(x => x.order_id === id);
+        // Journaled fills count too — the exchange only lists the latest, and a settled market no longer shows a position
+        if (!r && !f.length && !o.fills?.size && !positions.some(p => p.ticker === o.ticker)) {
+          flags.push(`${o.ticker} ${id.slice(0, 8)}: journaled but unknown on exchange — dropped`);
+          this.journal.record('closed', o, { reason: 'recovery:unknown' });
+          continue;
+        }
+        this.tracker.track(o, { status: r ? 'resting' : (f.length || o.fills?.size ? 'executed' : 'canceled') });
+        for (const x of f) this.tracker.addFill(o, x);
+        for (const x of o.exits || []) {
+          this.tracker.track(x, { status: resting.some(r => r.order_id === x.id) ? 'resting' : 'executed' });
+          for (const y of fills.filter(y => y.order_id === x.id)) this.tracker.addFill(x, y);
+        }
+        recovered.set(id, o);
       }
-    } catch(e) { console.log('[SCALPER] Starting fresh — no prior data'); }
+
+      // Exchange-side orders and positions we have no journal entry for
+      for (const r of resting) {
+        if (recovered.has(r.order_id) || r.action === 'sell' || this.arb.owns(r.order_id)) continue;
+        const price = r.side === 'yes' ? r.yes_price : r.no_price;
+        const contracts = (r.fill_count || 0) + (r.remaining_count || 0);
+        const o = { id: r.order_id, ticker: r.ticker, side: r.side, price, payout: 100 - price, contracts, cost: contracts * price / 100, at: r.created_time };
+        this.tracker.track(o, r);
+        for (const x of fills.filter(x => x.order_id === r.order_id)) this.tracker.addFill(o, x);
+        recovered.set(o.id, o);
+        flags.push(`${r.ticker} ${r.order_id.slice(0, 8)}: resting on exchange, not journaled — adopted`);
+      }
+      for (const o of this._untracked(positions, [...recovered.values()], flags)) recovered.set(o.id, o);
+    }
+
+    // Re-attach expiries and resume settlement tracking
+    for (const [id, o] of recovered) {
+      if (!await this._resume(o, flags)) continue;
+      if (!open.has(id)) { this.totalBets++; this.totalWagered += o.cost; }
+    }
+
+    this.journal.compact(this.activeOrders, this._statsState());
+    for (const f of flags) this._log('⚠️ Recon', f);
+    if (this.activeOrders.size || stats) {
+      this._log('♻️ Recovered', `${this.activeOrders.size} open | ${this.totalWins}W/${this.totalLosses}L | ${flags.length} difference(s)`);
+    }
   }
 
-  _saveData() {
-    try { fs.writeFileSync(DATA_FILE, JSON.stringify(this.learnedData)); } catch(e) {}
+  /** Exchange positions the `known` orders don't account for, as executed orders to adopt. Differences go to `flags`. */
+  _untracked(positions, known, flags) {
+    const out = [];
+    for (const p of positions) {
+      const side = p.position > 0 ? 'yes' : 'no';
+      const held = Math.abs(p.position);
+      // Paired contracts and arb legs net out on the exchange
+      const ours = known.filter(o => o.ticker === p.ticker && o.side === side)
+        .reduce((n, o) => n + (o.filled || 0) - this.exits.exited(o).count - (o.paired || 0), 0) + this.arb.exposure(p.ticker, side);
+      if (ours > held) flags.push(`${p.ticker}: journal ${ours} ${side.toUpperCase()} filled vs exchange ${held} held`);
+      if (held <= ours) continue;
+      const contracts = held - ours;
+      const price = Math.round((p.market_exposure || 0) / held) || 50;
+      out.push({ id: `pos-${p.ticker}`, ticker: p.ticker, side, price, payout: 100 - price, contracts, cost: contracts * price / 100,
+        status: 'executed', filled: contracts, fillCost: contracts * price });
+      flags.push(`${p.ticker}: ${contracts} ${side.toUpperCase()} held on exchange, not journaled — adopted`);
+    }
+    return out;
+  }
+
+  // Back on the books with its market's expiry — false when that can't be read and none is known
+  async _resume(o, flags) {
+    try {
+      const m = (await this.kalshi.getMarket(o.ticker)).market;
+      o.expiry = new Date(m.close_time || m.expiration_time).getTime();
+    } catch(e) {
+      if (!o.expiry) { flags.push(`${o.ticker}: no expiry — ${e.message}`); return false; }
+    }
+    this.activeOrders.set(o.id, o);
+    this.activeTickers.add(o.ticker);
+    return true;
+  }
+
+  /** What the exchange account holds — read before a switch to live, so a failure leaves paper trading in place. */
+  async _liveAccount() {
+    const [bal, pos] = await Promise.all([this.kalshi.getBalance(), this.kalshi.getPositions({ limit: 200 })]);
+    return { balance: bal.balance, positions: (pos.market_positions || []).filter(p => p.position) };
+  }
+
+  /**
+   * Paper → live. The paper bankroll and positions were never real: start
+   * from the exchange balance, with the risk session and peak reset to it,
+   * and adopt whatever the account holds.
+   */
+  async _goLive({ balance, positions }) {
+    const flags = [];
+    if (balance != null) this.bankroll = balance / 100;
+    this.peak = this.bankroll;
+    Object.assign(this.risk, { sessionStart: this.bankroll, realised: 0 });
+    for (const o of this._untracked(positions, [...this.activeOrders.values()], flags)) {
+      if (!await this._resume(o, flags)) continue;
+      this.totalBets++; this.totalWagered += o.cost;
+      this.journal.record('placed', o);
+    }
+    this.journal.saveStats(this._statsState());
+    for (const f of flags) this._log('⚠️ Recon', f);
+    this._log('💰 Balance', `live from $${this.bankroll.toFixed(2)} on the exchange, ${positions.length} position(s) held`);
   }
 
   // ═══════════════════
@@ -107,6 +510,8 @@ class BTCScalper extends EventEmitter {
 
   async start() {
     if (this.running) return;
+    const kill = this.killStatus();
+    if (kill) throw new Error(`Kill switch engaged (${kill.reason} at ${kill.at}) — POST /api/kill/ack to clear`);
     this.running = true;
 
     try {
@@ -118,23 +523,149 @@ class BTCScalper extends EventEmitter {
       }
     } catch(e) { this._log('⚠️ Balance', e.message); }
 
+    if (!this._recovered) {
+      try { await this._recover(); }
+      catch(e) { this._log('⚠️ Recover', e.message); }
+      this._recovered = true;
+    }
+
     try { await this.feed.fetchCandles(); } catch(e) {}
+    if (this.stream) this.stream.connect();
     this._intervals.push(setInterval(() => this.feed.fetchCandles().catch(() => {}), 30000));
-    this._intervals.push(setInterval(() => this._cycle(), this.cfg.scanMs));
-    this._cycle();
+    this._scheduleScan();
+    this._cycling = this._cycle();
 
-    const phase = this.learnedData.totalObserved >= this.cfg.minObservations ? 'TRADING' : 'LEARNING';
-    this._log('🚀 Started', `Phase: ${phase} | ${this.learnedData.totalObserved}/${this.cfg.minObservations} obs | dryRun:${this.cfg.dryRun}`);
+    const phase = this._phase() === 'TRADE' ? 'TRADING' : 'LEARNING';
+    this._log('🚀 Started', `Phase: ${phase} | ${this.learnedData.totalObserved} obs | conf:${this.cfg.confidence} | dryRun:${this.cfg.dryRun}`);
   }
 
   stop() {
     this.running = false;
     this._intervals.forEach(i => clearInterval(i));
     this._intervals = [];
+    if (this.stream) this.stream.close();
     this._saveData();
     this._log('🛑 Stopped', `${this.learnedData.totalObserved} observations saved`);
   }
 
+  // ══════════════════════════════════════
+  //  SHUTDOWN & KILL SWITCH
+  //
+  //  Leave the exchange clean: nothing resting,
+  //  optionally nothing held, all state on disk.
+  //  A kill also latches — start() refuses until
+  //  it is acknowledged.
+  // ══════════════════════════════════════
+
+  /**
+   * opts: { reason, flatten, kill }
+   * → { reason, at, cancelled: [order_id], flattened: [{ ticker, side, count, price }], errors: [] }
+   *
+   * A call while one is in flight shares it — unless it asks for more (a
+   * kill or flatten during a SIGTERM shutdown). Then a second pass with
+   * both requests merged runs once the first is done, and that is its report.
+   */
+  async shutdown(opts = {}) {
+    const prev = this._shuttingDown, cur = this._shutdownOpts;
+    if (prev && (!opts.kill || cur.kill) && (!opts.flatten || cur.flatten)) return prev;
+    const next = prev ? { ...opts, kill: cur.kill || !!opts.kill, flatten: cur.flatten || !!opts.flatten } : opts;
+    if (prev) this._log('🧯 Shutdown', `${opts.kill ? 'kill' : 'flatten'} requested mid-shutdown — a second pass follows`);
+    this._shutdownOpts = { kill: !!next.kill, flatten: !!next.flatten };
+    const run = (prev ? prev.catch(() => {}) : Promise.resolve()).then(() => this._shutdown(next));
+    const p = run.finally(() => { if (this._shuttingDown === p) { this._shuttingDown = null; this._shutdownOpts = null; } });
+    this._shuttingDown = p;
+    return p;
+  }
+
+  /** Resolves once every queued shutdown pass has finished. */
+  async shutdownSettled() {
+    while (this._shuttingDown) await this._shuttingDown.catch(() => {});
+  }
+
+  async _shutdown({ reason = 'shutdown', flatten = false, kill = false }) {
+    const report = { reason, at: new Date().toISOString(), cancelled: [], flattened: [], errors: [] };
+    this._log(kill ? '⛔ KILL' : '🧯 Shutdown', `${reason} — cancelling resting orders${flatten ? ', flattening positions' : ''}`);
+
+    if (this.running) this.stop();
+    try { await this._cycling; } catch(e) {}   // let an in-flight cycle finish placing before we sweep
+
+    if (this.broker) {
+      // Everything resting on the exchange (or paper book), ours or not journaled
+      try {
+        const resting = (await this.broker.getOrders({ status: 'resting', limit: 200 })).orders || [];
+        for (const o of resting) {
+          try { await this.broker.cancelOrder(o.order_id); report.cancelled.push(o.order_id); }
+          catch(e) { if (!(e instanceof NotFoundError)) report.errors.push(`cancel ${o.order_id.slice(0, 8)}: ${e.message}`); }
+        }
+      } catch(e) { report.errors.push(`orders: ${e.message}`); }
+
+      // Final fill counts, so the journal holds exactly what we own
+      for (const o of this.tracker.orders.values()) {
+        await this.tracker.syncFills(o);
+        if (o.status === 'resting') o.status = 'canceled';
+      }
+    }
+
+    if (flatten) {
+      // Arb pairs first — a completion's unfilled reservation goes back to its entry, sold below
+      report.flattened.push(...await this.arb.flatten(this.cfg.flattenSlipCents, report.errors));
+
+      for (const [id, order] of [...this.activeOrders.entries()]) {
+        if (this.exits.available(order) <= 0) continue;
+        let bid = null;
+        try {
+          const m = this.kalshi ? (await this.kalshi.getMarket(order.ticker)).market : this.watchlist.get(order.ticker)?.market;
+          bid = order.side === 'yes' ? m?.yes_bid : m?.no_bid;
+        } catch(e) { report.errors.push(`${order.ticker}: ${e.message}`); }
+        if (!bid) { report.errors.push(`${order.ticker}: no bid to sell into`); continue; }
+
+        // Cross the book by a few cents — getting out matters more than the price
+        const price = Math.max(1, bid - this.cfg.flattenSlipCents);
+        try {
+          const x = await this.exits.exit(order, { reason: kill ? 'kill' : 'shutdown', price });
+          if (!x) continue;
+          await this.tracker.syncFills(x);
+          report.flattened.push({ ticker: order.ticker, side: order.side, count: x.contracts, price });
+          this.journal.record('update', order);
+          this.tape?.order('exit', x, { reason: x.reason });
+        } catch(e) { report.errors.push(`sell ${order.ticker}: ${e.message}`); }
+      }
+    }
+
+    // Persist everything — learned data, correction state, open book, bankroll counters
+    this._saveData();
+    this._saveCorrection();
+    this.arb.save();
+    this.journal.compact(this.activeOrders, this._statsState());
+    await this.decisions?.flush();
+    await this.tape?.flush();
+
+    if (kill) {
+      try {
+        fs.writeFileSync(KILL_FILE + '.tmp', JSON.stringify(report, null, 2));
+        fs.renameSync(KILL_FILE + '.tmp', KILL_FILE);
+      } catch(e) { report.errors.push(`kill file: ${e.message}`); }
+    }
+
+    this._log(kill ? '⛔ KILL' : '🧯 Shutdown', `done — ${report.cancelled.length} cancelled, ${report.flattened.length} flattened, ${report.errors.length} error(s)`);
+    for (const e of report.errors) this._log('⚠️ Shutdown', e);
+    return report;
+  }
+
+  /** The latched kill record, or null. */
+  killStatus() {
+    try { return fs.existsSync(KILL_FILE) ? JSON.parse(fs.readFileSync(KILL_FILE, 'utf8')) : null; }
+    catch(e) { return { reason: 'unreadable kill file', at: null }; }
+  }
+
+  acknowledgeKill() {
+    const kill = this.killStatus();
+    if (!kill) return null;
+    fs.unlinkSync(KILL_FILE);
+    this._log('✅ Kill ack', `cleared ${kill.reason} from ${kill.at}`);
+    return kill;
+  }
+
   // ═══════════════════
   //  MAIN CYCLE
   // ═══════════════════
@@ -156,7 +687,8 @@ class BTCScalper extends EventEmitter {
 
       const sig = this.feed.getSignals();
       const btcPrice = sig.price || 0;
-      const phase = this.learnedData.totalObserved >= this.cfg.minObservations ? 'TRADE' : 'LEARN';
+      const phase = this._phase();
+      this.tape?.signals(sig);
 
       if (this._cycleCount % 5 === 1) {
         this._log('💓 Cycle', `BTC:$${btcPrice.toFixed(0)} | bank:$${this.bankroll.toFixed(2)} | ${phase} | obs:${this.learnedData.totalObserved} | ${this.totalWins}W/${this.totalLosses}L | watching:${this.watchlist.size}`);
@@ -168,11 +700,17 @@ class BTCScalper extends EventEmitter {
       }
 
       await this._discoverMarkets(btcPrice);
+      if (this.cfg.ladder && this.ladder && Date.now() - this.ladder.at >= this.cfg.ladderMs) await this._checkLadders();
+      if (this.tracker.orders.size) await this.tracker.poll();
+      await this._manageEntries();
+      await this._arbitrage();
+      if (this.cfg.exits) await this._manageExits(sig);
       await this._checkResolutions();
 
       if (phase === 'TRADE' && this.activeOrders.size < this.cfg.maxBets) {
         await this._findTrades(sig);
       }
+      if (phase === 'TRADE') this.shadows?.evaluate(sig);
 
       this.emit('status', this.getStatus());
     } catch(e) {
@@ -180,6 +718,11 @@ class BTCScalper extends EventEmitter {
     }
   }
 
+  // Trade once enough markets have resolved for a bucket to qualify — every later decision is gated by the interval
+  _phase() {
+    return this.learnedData.totalObserved >= MIN_BUCKET_N ? 'TRADE' : 'LEARN';
+  }
+
   // ══════════════════════════════════════
   //  MARKET DISCOVERY & WATCHING
   //  Find markets. Snapshot their prices.
@@ -187,10 +730,21 @@ class BTCScalper extends EventEmitter {
   // ══════════════════════════════════════
 
   async _discoverMarkets(btcPrice) {
-    const series = ['KXBTC15M', 'KXETH15M', 'KXSOL15M', 'KXBTC5M', 'KXETH5M', 'KXSOL5M'];
+    const now = Date.now();
+
+    // While the stream is live it carries prices; REST only needs to find new markets
+    if (this.stream?.connected && now - this._lastDiscovery < this.cfg.discoverMs) {
+      // Quiet books send no events — keep sampling them on the cycle clock
+      for (const [, w] of this.watchlist) {
+        if (!w.resolved && w.expiry > now && now - (w.lastSnap || 0) >= this.cfg.scanMs) this._snapshot(w, now, btcPrice);
+      }
+      this._pruneWatchlist(now);
+      return;
+    }
+    this._lastDiscovery = now;
 
     let markets = [];
-    const fetches = series.map(async (s) => {
+    const fetches = this.cfg.series.map(async (s) => {
       try {
         const r = await this.kalshi.getMarkets({ series_ticker: s, status: 'open', limit: 50 });
         return r.markets || [];
@@ -202,8 +756,6 @@ class BTCScalper extends EventEmitter {
     const seen = new Set();
     markets = markets.filter(m => { if (seen.has(m.ticker)) return false; seen.add(m.ticker); return true; });
 
-    const now = Date.now();
-
     for (const m of markets) {
       const exp = new Date(m.close_time || m.expiration_time || m.expected_expiration_time).getTime();
       const minsLeft = (exp - now) / 60000;
@@ -212,22 +764,19 @@ class BTCScalper extends EventEmitter {
       if (!this.watchlist.has(m.ticker)) {
         this.watchlist.set(m.ticker, {
           market: m, expiry: exp, snapshots: [], logged: false, resolved: false,
+          info: this._seriesInfo(m.ticker),
         });
+        this.tape?.market(m, this.watchlist.get(m.ticker).info);
       }
 
       const watch = this.watchlist.get(m.ticker);
 
-      // Update market data (prices change each cycle)
-      watch.market = m;
+      // Update market data (prices change each cycle) — a live quote beats REST
+      const live = this.stream?.getQuote(m.ticker);
+      watch.market = live ? { ...m, yes_ask: live.yesAsk ?? m.yes_ask, no_ask: live.noAsk ?? m.no_ask, yes_bid: live.yesBid ?? m.yes_bid, no_bid: live.noBid ?? m.no_bid } : m;
 
       // Take snapshot
-      watch.snapshots.push({
-        t: now,
-        minsLeft: +minsLeft.toFixed(2),
-        yesAsk: m.yes_ask || null,
-        noAsk: m.no_ask || null,
-        btcPrice,
-      });
+      this._snapshot(watch, now, btcPrice);
 
       // Log market structure ONCE — dump all fields
       if (!watch.logged) {
@@ -254,12 +803,69 @@ class BTCScalper extends EventEmitter {
       }
     }
 
+    this._pruneWatchlist(now);
+  }
+
+  _snapshot(watch, now, btcPrice) {
+    const m = watch.market;
+    const sig = this.feed.getSignals();
+    const snap = {
+      t: now,
+      minsLeft: +((watch.expiry - now) / 60000).toFixed(2),
+      yesAsk: m.yes_ask || null,
+      noAsk: m.no_ask || null,
+      yesBid: m.yes_bid || null,
+      noBid: m.no_bid || null,
+      btcPrice,
+      strike: m.floor_strike ?? m.cap_strike ?? null,
+      dist: this._strikeDistance(m, watch.info, sig),
+      vol: +(sig.volatility5m || 0).toFixed(4),
+      regime: sig.regime,
+    };
+    watch.snapshots.push(snap);
+    this.tape?.snapshot(watch.market.ticker, snap);
+    watch.lastSnap = now;
+  }
+
+  // Streamed top-of-book update — refresh prices, snapshot at most every snapshotMs
+  _onQuote(ticker, q) {
+    const watch = this.watchlist.get(ticker);
+    if (!watch || watch.resolved) return;
+    const now = Date.now();
+    if (now >= watch.expiry) return;
+
+    const m = watch.market;
+    watch.market = { ...m, yes_ask: q.yesAsk ?? m.yes_ask, no_ask: q.noAsk ?? m.no_ask, yes_bid: q.yesBid ?? m.yes_bid, no_bid: q.noBid ?? m.no_bid };
+    if (now - (watch.lastSnap || 0) >= this.cfg.snapshotMs) {
+      this._snapshot(watch, now, this.feed.getSignals().price || 0);
+    }
+  }
+
+  _pruneWatchlist(now) {
     // Cleanup old resolved entries
     for (const [ticker, w] of this.watchlist.entries()) {
       if (now - w.expiry > 10 * 60000 && w.resolved) {
         this.watchlist.delete(ticker);
       }
     }
+
+    if (this.stream) {
+      const open = [];
+      for (const [ticker, w] of this.watchlist) if (!w.resolved && w.expiry > now) open.push(ticker);
+      this.stream.watch(open);
+    }
+  }
+
+  // New ladder violations that pay after fees — each logged once, the full view is /api/ladder
+  async _checkLadders() {
+    let fresh;
+    try { fresh = await this.ladder.refresh(); }
+    catch(e) { this._log('⚠️ Ladder', e.message); return; }
+    for (const o of fresh) {
+      const legs = o.legs.map(l => `${l.side.toUpperCase()} ${l.ticker.split('-').pop()} @${l.price}¢`).join(' + ');
+      this._log('🪜 Ladder', `${o.type} ${o.event} ${legs} → +${o.edge}¢ a set after fees (${o.detail})`);
+    }
+    if (fresh.length) this.emit('ladder', this.ladder.opportunities);
   }
 
   // ══════════════════════════════════════
@@ -292,49 +898,29 @@ class BTCScalper extends EventEmitter {
 
         w.resolved = true;
         w.result = result;
-
-        // Record outcome for each snapshot
-        for (const snap of w.snapshots) {
-          if (snap.minsLeft > 6 || snap.minsLeft < 0.2) continue;
-          if (!snap.yesAsk || !snap.noAsk) continue;
-
-          const fav = Math.max(snap.yesAsk, snap.noAsk);
-          const favSide = snap.yesAsk > snap.noAsk ? 'yes' : 'no';
-          const favWon = favSide === result;
-
-          // Bucket by 5¢ increments and 1-min time bands
-          const priceBucket = Math.round(fav / 5) * 5;
-          const timeBucket = Math.ceil(snap.minsLeft);
-          const key = `fav${priceBucket}_${timeBucket}m`;
-
-          if (!this.learnedData.buckets[key]) {
-            this.learnedData.buckets[key] = { wins: 0, losses: 0 };
-          }
-          this.learnedData.buckets[key][favWon ? 'wins' : 'losses']++;
-        }
-
-        this.learnedData.outcomes.push({
-          ticker, result,
-          title: w.market.title || '',
-          snapshots: w.snapshots.length,
-          resolvedAt: new Date().toISOString(),
+        this.tape?.settlement(ticker, {
+          result, expiry: w.expiry, strike: w.market.floor_strike ?? w.market.cap_strike ?? null,
+          table: w.info.table, snapshots: w.snapshots.length,
         });
-        if (this.learnedData.outcomes.length > 500) {
-          this.learnedData.outcomes = this.learnedData.outcomes.slice(-500);
-        }
 
-        this.learnedData.totalObserved++;
+        this._learn(w, ticker, result);
         this._saveData();
+        this.shadows?.settle(ticker, result);
+        this.arb.settle(ticker, result);
 
         const lastSnap = w.snapshots[w.snapshots.length - 1];
         this._log('📚 Result', `${ticker} → ${result.toUpperCase()} | Y:${lastSnap?.yesAsk}¢ N:${lastSnap?.noAsk}¢ | obs:${this.learnedData.totalObserved}`);
 
         if (this.learnedData.totalObserved % 3 === 0) {
-          this._logBuckets();
+          this._logBuckets(w.info.table);
         }
 
       } catch(e) {
-        if (e.message?.includes('404')) w.resolved = true;
+        if (e instanceof NotFoundError) {
+          w.resolved = true;
+          this.shadows?.void(ticker);
+          this.arb.settle(ticker, null);
+        }
       }
 
       await new Promise(r => setTimeout(r, 100));
@@ -349,55 +935,407 @@ class BTCScalper extends EventEmitter {
         const m = data.market || data;
         if (!m.result) continue;
 
-        const won = m.result === order.side;
-        const pnl = won
-          ? (order.payout * order.contracts / 100)
-          : -(order.price * order.contracts / 100);
-
-        this.bankroll += pnl;
-        if (won) {
-          this.totalWins++;
-          this.peak = Math.max(this.peak, this.bankroll);
-          this._streak = Math.max(0, this._streak) + 1;
-          this._log('🎉 WIN', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ ×${order.contracts} +$${pnl.toFixed(2)} | bank:$${this.bankroll.toFixed(2)}`);
-        } else {
-          this.totalLosses++;
-          this._streak = Math.min(0, this._streak) - 1;
-          this._log('💀 LOSS', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ result:${m.result.toUpperCase()} -$${Math.abs(pnl).toFixed(2)} | bank:$${this.bankroll.toFixed(2)}`);
+        // Settle only what actually traded — and only once the fills are confirmed
+        let synced = !this.tracker.orders.has(id) || await this.tracker.syncFills(order);
+        for (const x of order.exits || []) if (this.tracker.orders.has(x.id)) synced = await this.tracker.syncFills(x) && synced;
+        if (!synced) {
+          this._log('⏳ Settle', `${order.side.toUpperCase()} ${order.ticker} — fills unconfirmed, retrying next cycle`);
+          continue;
         }
-
-        this.bets.push({ ...order, result: m.result, won, pnl: +pnl.toFixed(2) });
-        this.activeOrders.delete(id);
-        this.activeTickers.delete(order.ticker);
-
-        if (this.peak > 0 && (1 - this.bankroll / this.peak) >= 0.60) {
-          this._pausedUntil = Date.now() + 30 * 60000;
-          this._log('🚨 EMERGENCY', '60%+ drawdown, pausing 30min');
+        const unfilled = order.contracts - order.filled;
+        if (unfilled > 0) this.totalWagered -= unfilled * order.price / 100;
+        if (!order.filled) {
+          this.totalBets--;
+          this._log('🗑️ Unfilled', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ — never filled`);
+          this._closeOrder(id, order, 'unfilled');
+          this.journal.saveStats(this._statsState());
+          continue;
         }
+
+        this._settleOrder(id, order, m.result);
       } catch(e) {
-        if (e.message?.includes('404')) {
-          this.activeOrders.delete(id);
-          this.activeTickers.delete(order.ticker);
-        }
+        if (e instanceof NotFoundError) this._closeOrder(id, order, 'market not found');
       }
       await new Promise(r => setTimeout(r, 100));
     }
   }
 
+  /**
+   * Fold a settled market into the learned tables: every snapshot inside
+   * the window counts once in each table of the chain, price buckets and
+   * strike-distance features alike.
+   */
+  _learn(w, ticker, result, at = Date.now()) {
+    const tables = this._tableChain(w.info);
+    for (const snap of w.snapshots) {
+      if (snap.minsLeft > 6 || snap.minsLeft < 0.2) continue;
+      if (!snap.yesAsk || !snap.noAsk) continue;
+
+      const fav = Math.max(snap.yesAsk, snap.noAsk);
+      const favSide = snap.yesAsk > snap.noAsk ? 'yes' : 'no';
+      const favWon = favSide === result;
+      const { key } = this._bucketKey(fav, snap.minsLeft);
+
+      for (const name of tables) {
+        const table = this.learnedData.tables[name] || (this.learnedData.tables[name] = {});
+        if (!table[key]) table[key] = { wins: 0, losses: 0 };
+        recency.record(table[key], favWon, at, this.cfg);
+      }
+
+      // Strike distance / regime features — only where the feed could measure them
+      if (snap.dist == null) continue;
+      const f = this._featureKey(favSide === 'yes' ? snap.dist : -snap.dist, snap.minsLeft, snap.regime);
+      for (const name of tables) {
+        const table = this.learnedData.features[name] || (this.learnedData.features[name] = {});
+        for (const k of [f.key, f.regimeKey]) {
+          if (!table[k]) table[k] = { wins: 0, losses: 0 };
+          recency.record(table[k], favWon, at, this.cfg);
+        }
+      }
+    }
+
+    this.learnedData.outcomes.push({
+      ticker, result, table: w.info.table,
+      title: w.market.title || '',
+      snapshots: w.snapshots.length,
+      resolvedAt: new Date(at).toISOString(),
+    });
+    if (this.learnedData.outcomes.length > 500) {
+      this.learnedData.outcomes = this.learnedData.outcomes.slice(-500);
+    }
+
+    this.learnedData.totalObserved++;
+  }
+
+  /**
+   * Book a filled position, net of fees. Contracts sold early realise exit
+   * P&L against the average entry (entry fee included); contracts paired
+   * off by the arbitrage module are booked with their pair; whatever is
+   * still held settles on `result` (null when the position was fully sold before expiry).
+   */
+  _settleOrder(id, order, result) {
+    const sold = this.exits.exited(order);
+    const paired = order.paired || 0;
+    const held = order.filled - sold.count - paired;
+    const entryFee = fees.fillFees(order);
+    if (paired && !held && !sold.count) {
+      // Every contract went into a locked pair — not a directional win or loss
+      this.totalBets--;
+      this.totalFees += entryFee;
+      this._log('🔐 Paired', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ ×${paired} — booked with its arb pair`);
+      this.journal.record('settled', order, { result: result || null, pnl: 0, paired });
+      if (order.decision) this.decisions?.update(order.decision, { result: result || null, closed: { [id]: 'paired' } });
+      this.tape?.order('settled', order, { paired });
+      this._closeOrder(id, order);
+      this.journal.saveStats(this._statsState());
+      return;
+    }
+    const exitFee = (order.exits || []).reduce((s, x) => s + fees.fillFees(x), 0);
+    const avg = (order.fillCost + entryFee * 100) / order.filled;
+    const exitPnl = (sold.proceeds - sold.count * avg) / 100 - exitFee;
+    const settlePnl = !held ? 0 : result === order.side ? held * (100 - avg) / 100 : -held * avg / 100;
+    const pnl = exitPnl + settlePnl;
+    const won = pnl > 0;
+    const qty = order.filled < order.contracts ? `${order.filled}/${order.contracts}` : order.contracts;
+    const exitReason = order.exits?.find(x => x.filled)?.reason;
+    const feeNote = ` fee:$${(entryFee + exitFee).toFixed(2)}`;
+    const how = sold.count ? ` (exit ${sold.count}: ${exitPnl >= 0 ? '+' : '-'}$${Math.abs(exitPnl).toFixed(2)} ${exitReason}${held ? ` · settle ${held}: ${settlePnl >= 0 ? '+' : '-'}$${Math.abs(settlePnl).toFixed(2)}` : ''})` : '';
+
+    this.bankroll += pnl;
+    const halt = this.risk.onSettle(pnl, this.bankroll);
+    this.exitPnl += exitPnl; this.settlePnl += settlePnl;
+    this.totalFees += entryFee + exitFee;
+    if (sold.count) this.totalExits++;
+    if (won) {
+      this.totalWins++;
+      this.peak = Math.max(this.peak, this.bankroll);
+      this._streak = Math.max(0, this._streak) + 1;
+      this._log('🎉 WIN', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ ×${qty} +$${pnl.toFixed(2)}${how}${feeNote} | bank:$${this.bankroll.toFixed(2)}`);
+    } else {
+      this.totalLosses++;
+      this._streak = Math.min(0, this._streak) - 1;
+      this._log('💀 LOSS', `${order.side.toUpperCase()} ${order.ticker} @${order.price}¢ ×${qty}${result ? ` result:${result.toUpperCase()}` : ''} -$${Math.abs(pnl).toFixed(2)}${how}${feeNote} | bank:$${this.bankroll.toFixed(2)}`);
+    }
+
+    const { fills, exits, ...bet } = order;
+    const settled = { result: result || null, pnl: +pnl.toFixed(2), exitPnl: +exitPnl.toFixed(2), settlePnl: +settlePnl.toFixed(2),
+      fees: +(entryFee + exitFee).toFixed(2), exitReason: exitReason || null };
+    this.bets.push({ ...bet, exited: sold.count, ...settled, won });
+    if (this.correction) {
+      this.correction.recordOutcome({ ticker: order.ticker, side: order.side, buyPrice: order.price, contracts: order.filled, won, pnl,
+        direction: order.direction, volRegime: order.volRegime, placedAt: order.at });
+      this._saveCorrection();
+    }
+    this.journal.record('settled', order, settled);
+    if (order.decision) this.decisions?.update(order.decision, { result: result || null, settled: { [id]: { pnl: settled.pnl, fees: settled.fees, exited: sold.count } } });
+    this.tape?.order('settled', order, settled);
+    this._closeOrder(id, order);
+    this.journal.saveStats(this._statsState());
+    if (halt) this._log('⛔ Halt', halt);
+
+    if (this.peak > 0 && (1 - this.bankroll / this.peak) >= 0.60) {
+      this._pausedUntil = Date.now() + 30 * 60000;
+      this._log('🚨 EMERGENCY', '60%+ drawdown, pausing 30min');
+    }
+  }
+
+  _closeOrder(id, order, reason) {
+    if (reason) {
+      this.journal.record('closed', order, { reason });
+      this.tape?.order('closed', order, { reason });
+      if (order.decision) this.decisions?.update(order.decision, { closed: { [id]: reason } });
+    }
+    this.activeOrders.delete(id);
+    // A repriced entry can leave its partially filled predecessor open on the same market
+    if (![...this.activeOrders.values()].some(o => o.ticker === order.ticker)) this.activeTickers.delete(order.ticker);
+    this.tracker.untrack(id);
+    this.exits.release(order);
+  }
+
+  // Each trade as it lands, so a restart knows what filled before the next poll
+  _journalFill(o, f) {
+    if (o.pair || !f) return;
+    if (o.action !== 'sell') return this.journal.fill(o, f);
+    const order = this.activeOrders.get(o.parent);
+    if (order) this.journal.fill(order, f, o);
+  }
+
+  // Exit legs report fills and cancels on their own — journal them as part of the entry. Arb legs live with their pair
+  _journalUpdate(o) {
+    if (o.pair) return this.arb.save();
+    const order = o.action === 'sell' ? this.activeOrders.get(o.parent) : o;
+    if (order) this.journal.record('update', order);
+  }
+
+  // ══════════════════════════════════════
+  //  EXITS — sell-to-close before expiry
+  //
+  //  Held contracts are checked against the live
+  //  bid every cycle. Stop-loss, take-profit and
+  //  model-flip rules live in the ExitManager.
+  // ══════════════════════════════════════
+
+  async _manageExits(sig) {
+    const now = Date.now();
+
+    for (const [id, order] of this.activeOrders.entries()) {
+      if (!order.filled || now >= order.expiry) continue;
+
+      // Everything sold and nothing left working — book it now, not at settlement
+      const sold = this.exits.exited(order).count;
+      if (sold && sold + (order.paired || 0) >= order.filled && order.status !== 'resting' && !order.exits.some(x => x.status === 'resting') && !this.arb.busy(order.ticker)) {
+        this._settleOrder(id, order, null);
+        continue;
+      }
+
+      const w = this.watchlist.get(order.ticker);
+      if (!w) continue;
+      const quote = { yesBid: w.market.yes_bid, noBid: w.market.no_bid };
+      const decision = this.exits.decide(order, quote, this._modelProb(order, w, sig), now);
+      if (!decision) continue;
+
+      // Stop adding to a position we're leaving
+      if (order.status === 'resting' && this.tracker.orders.has(id)) await this.tracker.cancel(order, `exit ${decision.reason}`);
+
+      try {
+        const x = await this.exits.exit(order, decision);
+        if (!x) continue;
+        const entry = order.fillCost / order.filled;
+        this._log('💸 EXIT', `${decision.reason} ${order.side.toUpperCase()} ${order.ticker} ×${x.contracts} @${x.price}¢ (in @${entry.toFixed(0)}¢) ${x.id.slice(0, 8)}${this.paper ? ' [paper]' : ''}`);
+        this.journal.record('update', order);
+        this.tape?.order('exit', x, { reason: decision.reason });
+      } catch(e) { this._log('❌ Exit', `${order.ticker} ${e.message}`); }
+    }
+  }
+
+  // Posterior mean that the held side wins, from the same tables that picked the entry
+  _modelProb(order, w, sig) {
+    const e = this._estimate(w, sig, (w.expiry - Date.now()) / 60000);
+    if (!e) return null;
+    const p = stats.estimate(e.est.wins, e.est.n, e.favPrice / 100, this.cfg).mean;
+    return e.favSide === order.side ? p : 1 - p;
+  }
+
+  // ══════════════════════════════════════
+  //  ARBITRAGE — locked YES/NO pairs
+  //
+  //  Pairs and leg risk live in arbitrage.js.
+  //  Open pairs are managed every cycle, before
+  //  exits, so contracts a completion reserved
+  //  are never sold from under it. New pairs
+  //  respect the risk halt, and cross pairs
+  //  the exposure caps.
+  // ══════════════════════════════════════
+
+  async _arbitrage() {
+    const now = Date.now();
+    await this.arb.manage(this.watchlist, now);
+    if (!this.cfg.arb || this.risk.halted(now)) return;
+
+    const opps = [
+      ...(this.cfg.arbComplete ? this.arb.completions([...this.activeOrders.values()], o => this.exits.available(o), this.watchlist, this.bankroll, now) : []),
+      ...this.arb.scan(this.watchlist, this.bankroll, this.activeTickers, now),
+    ];
+    for (const opp of opps) {
+      // A cross pair is only as safe as its legs: if one fills and the other never does, the dearer one is what the caps must absorb
+      if (opp.kind === 'cross') {
+        const n = opp.contracts, dear = Math.max(opp.yesPrice, opp.noPrice);
+        const veto = this.risk.check({ ticker: opp.ticker, asset: this._seriesInfo(opp.ticker).asset, expiry: opp.expiry, cost: n * dear / 100 + fees.orderFee(n, dear) },
+          this._openRisk(), this.bankroll, now);
+        if (veto) { this._log('🛡️ Risk', `arb ${opp.ticker} ×${n} rejected — ${veto.rule}: ${veto.detail}`); continue; }
+      }
+      try {
+        const pair = await this.arb.open(opp, this.watchlist.get(opp.ticker));
+        if (!pair) { this._log('📖 Arb', `${opp.ticker} lock gone on the live book — skipped`); continue; }
+        const entry = this.activeOrders.get(opp.entry);
+        if (entry) this.journal.record('update', entry);
+        const legs = pair.legs.filter(l => !l.virtual).map(l => `${l.side.toUpperCase()} @${l.price}¢`).join(' + ');
+        this._log('🔒 ARB', `${pair.kind} ${pair.ticker} ×${pair.contracts} ${opp.kind === 'complete' ? `held @${opp.basis}¢ + ` : ''}${legs} → ${pair.lockCents}¢ a pair${this.paper ? ' [paper]' : ''}`);
+      } catch(e) { this._log('❌ Arb', `${opp.ticker} ${e.message}`); }
+    }
+  }
+
+  // A closed pair goes straight to the bankroll. Locked profits don't reset the loss streak; arb losses count toward the daily stop
+  _arbClosed(pair) {
+    this.bankroll += pair.pnl;
+    this.peak = Math.max(this.peak, this.bankroll);
+    this.totalFees += pair.fees;
+    const halt = pair.pnl < 0 ? this.risk.onSettle(pair.pnl, this.bankroll) : null;
+    const entry = pair.entry && this.activeOrders.get(pair.entry);
+    if (entry) this.journal.record('update', entry);
+    this.journal.saveStats(this._statsState());
+
+    const pnl = `${pair.pnl >= 0 ? '+' : '-'}$${Math.abs(pair.pnl).toFixed(2)}`;
+    if (pair.status === 'locked') this._log('🔐 Locked', `${pair.kind} ${pair.ticker} ×${pair.matched}${pair.hedged ? ' (hedged)' : ''} ${pnl} fee:$${pair.fees.toFixed(2)} | bank:$${this.bankroll.toFixed(2)}`);
+    else this._log('🔓 Arb', `${pair.kind} ${pair.ticker} ${pair.status}${pair.result ? ` result:${pair.result.toUpperCase()}` : ''} ${pnl} | bank:$${this.bankroll.toFixed(2)}`);
+    if (halt) this._log('⛔ Halt', halt);
+  }
+
   // ══════════════════════════════════════
   //  BUCKET TABLE — What we've learned
   // ══════════════════════════════════════
 
-  _logBuckets() {
-    const keys = Object.keys(this.learnedData.buckets).sort();
+  _logBuckets(name = GLOBAL_TABLE) {
+    const table = this.learnedData.tables[name] || {};
+    const keys = Object.keys(table).sort();
     const lines = [];
     for (const key of keys) {
-      const b = this.learnedData.buckets[key];
+      const b = table[key];
       const n = b.wins + b.losses;
       if (n < 2) continue;
-      lines.push(`${key}:${(b.wins/n*100).toFixed(0)}%(${n})`);
+      lines.push(`${key}:${stats.fmt(this._bucketInterval(key, b))}(${n})`);
     }
-    if (lines.length) this._log('📊 Data', lines.join(' | '));
+    if (lines.length) this._log('📊 Data', `${name} ` + lines.join(' | '));
+  }
+
+  // Price buckets carry their own market-implied prior (fav90 → 0.90)
+  _bucketInterval(key, b) {
+    const m = key.match(/^fav(\d+)_/);
+    return stats.estimate(b.wins, b.wins + b.losses, m ? +m[1] / 100 : null, this.cfg);
+  }
+
+  // KXBTC15M-25OCT191830-30 → { series: KXBTC15M, asset: BTC, duration: 15M, table: BTC_15M }
+  _seriesInfo(ticker) {
+    const series = ticker.split('-')[0];
+    const m = series.match(/^KX([A-Z]+?)(\d+M)$/);
+    const asset = m ? m[1] : series;
+    const duration = m ? m[2] : '';
+    return { series, asset, duration, table: duration ? `${asset}_${duration}` : asset };
+  }
+
+  // Most specific first: series+duration → asset → everything
+  _tableChain(info) {
+    return [...new Set([info.table, info.asset, GLOBAL_TABLE])];
+  }
+
+  // Bucket by 5¢ increments and 1-min time bands
+  _bucketKey(fav, minsLeft) {
+    const priceBucket = Math.round(fav / 5) * 5;
+    const timeBucket = Math.ceil(minsLeft);
+    return { priceBucket, timeBucket, key: `fav${priceBucket}_${timeBucket}m` };
+  }
+
+  /**
+   * Spot-to-strike distance in ATR units, signed so positive favours YES.
+   * Range markets measure to the nearer edge. Only BTC has a feed to measure.
+   */
+  _strikeDistance(m, info, sig) {
+    if (info?.asset !== 'BTC' || !sig.price || !sig.volatility5m) return null;
+    const atr = sig.price * sig.volatility5m / 100;
+    const lo = m.floor_strike, hi = m.cap_strike;
+    let d;
+    if (lo != null && hi != null) d = Math.min(sig.price - lo, hi - sig.price);
+    else if (lo != null) d = sig.price - lo;
+    else if (hi != null) d = hi - sig.price;
+    else return null;
+    return +(d / atr).toFixed(3);
+  }
+
+  // Favourite's distance in ½-ATR steps (clamped), 1-min time bands, optional regime
+  _featureKey(favDist, minsLeft, regime) {
+    const distBucket = Math.max(-3, Math.min(5, Math.round(favDist * 2) / 2));
+    const timeBucket = Math.ceil(minsLeft);
+    const key = `dist${distBucket}_${timeBucket}m`;
+    return { distBucket, timeBucket, key, regimeKey: `${key}_${regime || 'NEUTRAL'}` };
+  }
+
+  /**
+   * Favourite win rate from the distance model. Per table in the chain:
+   * regime-specific bucket, then distance bucket, then ±½-ATR neighbours.
+   */
+  _lookupFeatureWinRate(info, favDist, minsLeft, regime, now = Date.now()) {
+    const f = this._featureKey(favDist, minsLeft, regime);
+    for (const name of this._tableChain(info)) {
+      const table = this.learnedData.features[name];
+      if (!table) continue;
+      for (const k of [f.regimeKey, f.key]) {
+        if (!table[k]) continue;
+        const c = this._pool([table[k]], now);
+        if (c.n >= MIN_BUCKET_N) return { ...c, key: k, table: name, nearby: false, source: `${name}:${k}(${Math.round(c.n)})` };
+      }
+      // Blend the ±½-ATR neighbours into one pooled count
+      const c = this._pool([-0.5, 0.5].map(dd => table[`dist${f.distBucket + dd}_${f.timeBucket}m`]), now);
+      if (c.n >= MIN_BUCKET_N) {
+        const key = `${f.key}±`;
+        return { ...c, key, table: name, nearby: true, source: `~${name}:${key}(${Math.round(c.n)})` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Observed favourite win rate for a market, falling back through the
+   * table chain. At each level the exact bucket wins, then its neighbours.
+   * `source` carries the provenance, e.g. "BTC_15M:fav90_3m(12)" or "~ALL:fav85_3m(40)".
+   */
+  _lookupWinRate(info, priceBucket, timeBucket, now = Date.now()) {
+    const key = `fav${priceBucket}_${timeBucket}m`;
+    for (const name of this._tableChain(info)) {
+      const b = this.learnedData.tables[name]?.[key];
+      if (b) {
+        const c = this._pool([b], now);
+        if (c.n >= MIN_BUCKET_N) return { ...c, key, table: name, nearby: false, source: `${name}:${key}(${Math.round(c.n)})` };
+      }
+      const nearby = this._getNearbyWinRate(priceBucket, timeBucket, name, now);
+      if (nearby) return { ...nearby, table: name, nearby: true, source: `~${name}:${nearby.key}(${Math.round(nearby.n)})` };
+    }
+    return null;
+  }
+
+  /**
+   * Buckets pooled into one count: all-time, recent (cfg.recency) and the
+   * one estimates run on — recent with recencyWeighting, else all-time.
+   */
+  _pool(buckets, now) {
+    const all = { wins: 0, n: 0 }, rec = { wins: 0, n: 0 };
+    for (const b of buckets) {
+      if (!b) continue;
+      all.wins += b.wins; all.n += b.wins + b.losses;
+      const r = recency.recent(b, now, this.cfg);
+      rec.wins += r.wins; rec.n += r.n;
+    }
+    const use = this.cfg.recencyWeighting ? rec : all;
+    return { wr: use.n ? use.wins / use.n : null, wins: use.wins, n: use.n, all, recent: rec };
   }
 
   // ══════════════════════════════════════
@@ -407,105 +1345,440 @@ class BTCScalper extends EventEmitter {
   //  favorite wins MORE than market implies.
   // ══════════════════════════════════════
 
+  /**
+   * Observed favourite win rate for a watched market — distance model when
+   * BTC's position vs the strike is measurable, else price buckets;
+   * series → asset → global. cfg.bucketScheme 'price' or 'distance' uses
+   * only that one. Null without two-sided quotes or data.
+   */
+  _estimate(w, sig, minsLeft, now = Date.now()) {
+    const m = w.market;
+    if (!m.yes_ask || !m.no_ask) return null;
+
+    const fav = Math.max(m.yes_ask, m.no_ask);
+    const favSide = m.yes_ask > m.no_ask ? 'yes' : 'no';
+    const favPrice = favSide === 'yes' ? m.yes_ask : m.no_ask;
+
+    const dist = this._strikeDistance(m, w.info, sig);
+    const favDist = dist == null ? null : (favSide === 'yes' ? dist : -dist);
+    const { priceBucket, timeBucket } = this._bucketKey(fav, minsLeft);
+    const scheme = this.cfg.bucketScheme;
+    const est = (scheme !== 'price' && favDist != null && this._lookupFeatureWinRate(w.info, favDist, minsLeft, sig.regime, now))
+      || (scheme !== 'distance' && this._lookupWinRate(w.info, priceBucket, timeBucket, now));
+    return est ? { est, fav, favSide, favPrice, favDist } : null;
+  }
+
+  // Feed regime → the correction engine's low / medium / high volatility buckets
+  _volRegime(sig) {
+    return sig.regime === 'VOLATILE' ? 'high' : sig.regime === 'RANGING' ? 'low' : 'medium';
+  }
+
+  /**
+   * Entry decision for one watched market at `now` — the code live trading
+   * and the backtester share. Null outside the entry window or without
+   * data; otherwise the sized order and whether it clears the edge bar.
+   */
+  _evaluate(w, sig, now) {
+    const minsLeft = (w.expiry - now) / 60000;
+    if (minsLeft < 0.3 || minsLeft > 5) return null;
+
+    const e = this._estimate(w, sig, minsLeft, now);
+    if (!e) return null; // no quotes or no data yet
+    const { est, favSide, favPrice, favDist } = e;
+
+    // Edge on the conservative end of the interval, net of the taker fee for crossing the spread
+    const marketImplied = favPrice / 100;
+    const feePer = fees.perContract(favPrice);
+    const ci = stats.estimate(est.wins, est.n, marketImplied, this.cfg);
+    const edge = ci.lower - marketImplied - feePer;
+
+    // Correction engine raises the bar and shrinks size after losses, relaxes both on a hot streak
+    const ctx = { direction: sig.direction || 'NEUTRAL', volRegime: this._volRegime(sig) };
+    let minEdge = this.cfg.minEdge, sizeMult = 1;
+    if (this.correction) {
+      minEdge = this.correction.getAdjustedEdge(minEdge, { ...ctx, timeWindow: this.correction.getCurrentTimeWindow(now) });
+      sizeMult = this.correction.getSizeMultiplier();
+    }
+
+    const size = sizing.size({
+      p: ci.lower, priceCents: favPrice, feePerContract: feePer, bankroll: this.bankroll,
+      fraction: this.cfg.kellyFraction, scale: sizeMult, maxFraction: this.cfg.maxBetFraction, minContracts: this.cfg.minContracts,
+    });
+    const contracts = size.contracts;
+    const cost = (contracts * favPrice) / 100;
+    const fee = fees.orderFee(contracts, favPrice);
+    // Recent results that disagree with the bucket's history mean the market moved on — its win rate is stale
+    const drift = this.cfg.driftGuard ? recency.drift(est.recent, est.all, this.cfg) : null;
+    // A floored bet can outgrow the Kelly cap — never past floorMaxFrac of bankroll
+    const trade = edge >= minEdge && contracts > 0 && !drift && (size.limit !== 'floor' || cost + fee <= this.bankroll * this.cfg.floorMaxFrac);
+
+    return { side: favSide, price: favPrice, payout: 100 - favPrice, contracts, cost, fee, edge, minEdge, ci, est, size, sizeMult, minsLeft, favDist, drift, ...ctx, trade };
+  }
+
+  // Open cost per position for the risk check — contracts already sold back or paired off no longer count
+  _openRisk() {
+    return [...this.activeOrders.values()].map(o => ({
+      ticker: o.ticker, asset: this._seriesInfo(o.ticker).asset, expiry: o.expiry,
+      cost: (o.contracts - this.exits.exited(o).count - (o.paired || 0)) * o.price / 100 + (o.fee || 0),
+    })).concat(this.arb.risk().map(p => ({ ...p, asset: this._seriesInfo(p.ticker).asset })));
+  }
+
+  /**
+   * The risk halt in force this cycle, or null. Its rejection is counted and
+   * logged once, when a halt is first seen — not once a market every cycle.
+   */
+  _haltWindow(now) {
+    if (!this.risk.halted(now)) return (this._halt = null);
+    if (this._halt?.until !== this.risk.haltedUntil) {
+      const verdict = this.risk.haltCheck(now);
+      this._halt = { until: this.risk.haltedUntil, verdict, tickers: new Set() };
+      this._log('🛡️ Risk', `entries blocked — ${verdict.rule}: ${verdict.detail}`);
+    }
+    return this._halt;
+  }
+
   async _findTrades(sig) {
     const now = Date.now();
+    const halt = this._haltWindow(now);
 
     for (const [ticker, w] of this.watchlist.entries()) {
       if (w.resolved) continue;
-      if (this.activeTickers.has(ticker)) continue;
+      if (this.activeTickers.has(ticker) || this.arb.busy(ticker)) continue;
       if (this.activeOrders.size >= this.cfg.maxBets) break;
 
-      const minsLeft = (w.expiry - now) / 60000;
-      if (minsLeft < 0.3 || minsLeft > 5) continue;
-
-      const m = w.market;
-      if (!m.yes_ask || !m.no_ask) continue;
-
-      const fav = Math.max(m.yes_ask, m.no_ask);
-      const favSide = m.yes_ask > m.no_ask ? 'yes' : 'no';
-      const favPrice = favSide === 'yes' ? m.yes_ask : m.no_ask;
-
-      // Look up observed win rate
-      const priceBucket = Math.round(fav / 5) * 5;
-      const timeBucket = Math.ceil(minsLeft);
-      const key = `fav${priceBucket}_${timeBucket}m`;
-
-      let observedWR = null, dataSource = key, sampleSize = 0;
-
-      const bucket = this.learnedData.buckets[key];
-      if (bucket && (bucket.wins + bucket.losses) >= 3) {
-        sampleSize = bucket.wins + bucket.losses;
-        observedWR = bucket.wins / sampleSize;
-        dataSource = `${key}(${sampleSize})`;
-      } else {
-        // Check neighbors
-        const nearby = this._getNearbyWinRate(priceBucket, timeBucket);
-        if (nearby) {
-          observedWR = nearby.wr;
-          sampleSize = nearby.n;
-          dataSource = `~${nearby.key}(${nearby.n})`;
+      const d = this._evaluate(w, sig, now);
+      if (!d) continue;
+      const { side: favSide, price: favPrice, contracts, edge, minEdge, ci, size, minsLeft, favDist, direction, volRegime } = d;
+      const dataSource = d.est.source;
+
+      if (d.trade) {
+        // A tripped stop blocks the trade before the book is even read — journaled once per market while it lasts
+        if (halt) {
+          if (!halt.tickers.has(ticker)) {
+            halt.tickers.add(ticker);
+            this._decision(ticker, w, d, sig, { taken: false, reason: 'risk', risk: halt.verdict });
+          }
+          continue;
+        }
+
+        // Join, improve or cross off the live book — never above the chase ceiling
+        const plan = await this.execution.entry(ticker, d, minsLeft * 60);
+        if (!plan) {
+          this._decision(ticker, w, d, sig, { taken: false, reason: 'book' });
+          this._log('📖 Book', `${favSide.toUpperCase()} ${ticker} bid already past ${favPrice}¢+${this.cfg.execMaxChaseCents}¢ — skipped`);
+          continue;
+        }
+        const price = plan.price;
+        const cost = (contracts * price) / 100;
+        const fee = fees.orderFee(contracts, price);
+
+        const veto = this.risk.check({ ticker, asset: w.info.asset, expiry: w.expiry, cost: cost + fee }, this._openRisk(), this.bankroll, now);
+        const exec = { mode: plan.mode, price, maxPrice: plan.maxPrice };
+        if (veto) {
+          this._decision(ticker, w, d, sig, { taken: false, reason: 'risk', risk: veto, exec });
+          this._log('🛡️ Risk', `${favSide.toUpperCase()} ${ticker} @${price}¢ ×${contracts} rejected — ${veto.rule}: ${veto.detail}`);
+          continue;
         }
-      }
 
-      if (observedWR === null) continue; // no data yet
-
-      const marketImplied = favPrice / 100;
-      const edge = observedWR - marketImplied;
-
-      if (edge >= this.cfg.minEdge) {
-        const payout = 100 - favPrice;
-        const edgePct = edge * 100;
-        let maxContracts = edgePct >= 15 ? 4 : edgePct >= 10 ? 3 : 2;
-        const maxRisk = this.bankroll * 0.10;
-        const contracts = Math.max(1, Math.min(maxContracts, Math.floor((maxRisk * 100) / favPrice)));
-        const cost = (contracts * favPrice) / 100;
-        if (cost > this.bankroll * 0.15) continue;
-
-        this._log('🎯 BET', `${favSide.toUpperCase()} ${ticker} @${favPrice}¢ ×${contracts} ($${cost.toFixed(2)}) | obsWR:${(observedWR*100).toFixed(0)}% mkt:${favPrice}¢ edge:${(edge*100).toFixed(1)}% | ${minsLeft.toFixed(1)}m | ${dataSource}`);
-
-        if (this.cfg.dryRun) {
-          const id = 'dry-' + uuidv4().slice(0, 8);
-          this.activeOrders.set(id, { ticker, side: favSide, price: favPrice, payout, contracts, cost, id, at: new Date(), expiry: w.expiry });
-          this.activeTickers.add(ticker);
-          this.totalBets++; this.totalWagered += cost;
-          this._log('🏜️ DRY', `$${cost.toFixed(2)}`);
-        } else {
-          try {
-            const res = await this.kalshi.placeOrder({
-              ticker, action: 'buy', side: favSide, type: 'limit', count: contracts,
-              ...(favSide === 'yes' ? { yes_price: favPrice } : { no_price: favPrice }),
-              client_order_id: uuidv4(),
-            });
-            const id = res.order?.order_id || uuidv4();
-            this.activeOrders.set(id, { ticker, side: favSide, price: favPrice, payout, contracts, cost, id, at: new Date(), expiry: w.expiry });
-            this.activeTickers.add(ticker);
-            this.totalBets++; this.totalWagered += cost;
-            this._log('✅ ORDER', `${id.slice(0, 8)} $${cost.toFixed(2)} ${favSide.toUpperCase()} ${ticker}`);
-          } catch(e) { this._log('❌ Failed', e.message); }
+        this._log('🎯 BET', `${favSide.toUpperCase()} ${ticker} @${price}¢ ${plan.mode} ×${contracts} ($${cost.toFixed(2)} +$${fee.toFixed(2)} fee) | obsWR:${stats.fmt(ci)} mkt:${favPrice}¢ edge:${(edge*100).toFixed(1)}%${minEdge !== this.cfg.minEdge ? `≥${(minEdge*100).toFixed(1)}%` : ''} | ${minsLeft.toFixed(1)}m${favDist != null ? ` d:${favDist.toFixed(2)}ATR ${sig.regime}` : ''} | ${dataSource} | ${size.rationale}`);
+
+        const decision = this._decision(ticker, w, d, sig, { taken: true, reason: 'placed', risk: null, exec });
+        try {
+          const order = await this._placeEntry({ ticker, side: favSide, price, payout: 100 - price, contracts, cost, fee, at: new Date(), expiry: w.expiry, source: dataSource,
+            direction, volRegime, decision, exec: { mode: plan.mode, maxPrice: plan.maxPrice, edge, reprices: 0 } });
+          this.totalBets++;
+          this.journal.saveStats(this._statsState());
+          this.decisions?.update(decision, { order: order.id });
+          this._log(this.paper ? '🏜️ PAPER' : '✅ ORDER', `${order.id.slice(0, 8)} $${cost.toFixed(2)} ${favSide.toUpperCase()} ${ticker}`);
+        } catch(e) {
+          this.decisions?.update(decision, { taken: false, reason: 'failed', error: e.message });
+          this._log('❌ Failed', e.message);
         }
-      } else if (this._cycleCount % 4 === 0 && minsLeft < 3) {
-        this._log('🔍 Skip', `${ticker.slice(-15)} obsWR:${observedWR?(observedWR*100).toFixed(0)+'%':'?'} mkt:${favPrice}¢ edge:${(edge*100).toFixed(1)}% ${dataSource}`);
+        continue;
       }
+
+      const reason = edge < minEdge ? 'edge' : d.drift ? 'drift' : 'size';
+      this._decision(ticker, w, d, sig, { taken: false, reason });
+      if (reason === 'drift' && this._cycleCount % 4 === 0) {
+        const x = d.drift;
+        this._log('🌊 Drift', `${ticker.slice(-15)} ${dataSource} recent ${(x.recentWr*100).toFixed(0)}% (n${x.recentN}) vs older ${(x.olderWr*100).toFixed(0)}% (n${x.olderN}) z:${x.z} — skipped`);
+      }
+      if (edge < minEdge && this._cycleCount % 4 === 0 && minsLeft < 3) {
+        this._log('🔍 Skip', `${ticker.slice(-15)} obsWR:${stats.fmt(ci)} mkt:${favPrice}¢ edge:${(edge*100).toFixed(1)}% ${dataSource}`);
+      }
+    }
+  }
+
+  // Decision-journal record for an evaluated opportunity — everything _evaluate saw, plus the verdict
+  _decision(ticker, w, d, sig, verdict) {
+    if (!this.decisions) return null;
+    const { est, ci, size } = d;
+    const r4 = (x) => x == null ? null : +x.toFixed(4);
+    return this.decisions.record({
+      ticker, table: w.info.table, minsLeft: +d.minsLeft.toFixed(2), side: d.side, price: d.price,
+      bucket: { key: est.key, table: est.table, n: r4(est.n), wins: r4(est.wins), nearby: !!est.nearby, source: est.source,
+        all: est.all, recent: { wins: r4(est.recent.wins), n: r4(est.recent.n) } },
+      drift: d.drift,
+      favDist: r4(d.favDist),
+      ci: { lower: r4(ci.lower), mean: r4(ci.mean), upper: r4(ci.upper), method: ci.method },
+      edge: r4(d.edge), minEdge: r4(d.minEdge), fee: r4(fees.perContract(d.price)),
+      signals: { price: sig.price, direction: sig.direction, regime: sig.regime, strength: sig.strength,
+        momentum5m: r4(sig.momentum5m), volatility5m: r4(sig.volatility5m), rsi: r4(sig.rsi) },
+      sizing: { bankroll: +this.bankroll.toFixed(2), p: r4(ci.lower), fraction: this.cfg.kellyFraction, scale: r4(d.sizeMult),
+        maxFraction: this.cfg.maxBetFraction, full: r4(size.full), stakeFrac: r4(size.stakeFrac), contracts: size.contracts, limit: size.limit },
+      ...verdict,
+    });
+  }
+
+  // Post an entry and start tracking it — new bets and reprices alike
+  async _placeEntry(order) {
+    const res = await this.broker.placeOrder({
+      ticker: order.ticker, action: 'buy', side: order.side, type: 'limit', count: order.contracts,
+      ...(order.side === 'yes' ? { yes_price: order.price } : { no_price: order.price }),
+      client_order_id: uuidv4(),
+    });
+    order.id = res.order?.order_id || uuidv4();
+    if (this.paper) order.dry = true;
+    this.activeOrders.set(order.id, this.tracker.track(order, res.order));
+    this.activeTickers.add(order.ticker);
+    this.totalWagered += order.cost;
+    this.journal.record('placed', order);
+    this.tape?.order('placed', order);
+    return order;
+  }
+
+  // ══════════════════════════════════════
+  //  ENTRIES — keep resting bids competitive
+  //
+  //  Each cycle a resting entry is re-planned
+  //  against the book: moved up when outbid or
+  //  when it's time to cross, cancelled once the
+  //  bid runs past its chase ceiling.
+  // ══════════════════════════════════════
+
+  async _manageEntries() {
+    const now = Date.now();
+    for (const [id, order] of [...this.activeOrders.entries()]) {
+      if (order.status !== 'resting' || !order.exec || !this.tracker.orders.has(id)) continue;
+      if (now >= order.expiry - this.cfg.cancelBeforeSec * 1000) continue;   // the tracker is about to cancel it
+
+      let r;
+      try { r = await this.execution.review(order, now); }
+      catch(e) { this._log('⚠️ Book', `${order.ticker} ${e.message}`); continue; }
+      if (!r) continue;
+      if (r.action === 'cancel') await this.tracker.cancel(order, `chased out — ${r.reason}`);
+      else await this._reprice(id, order, r);
+    }
+  }
+
+  // Cancel/replace: the old order keeps what it filled, the remainder moves to the new price
+  async _reprice(id, order, plan) {
+    if (!await this.tracker.cancel(order, `reprice ${order.price}→${plan.price}¢`)) return;
+    const left = order.contracts - order.filled;
+    if (left <= 0) return;
+
+    this.totalWagered -= left * order.price / 100;
+    Object.assign(order, { contracts: order.filled, cost: order.fillCost / 100, fee: fees.orderFee(order.filled, order.price) });
+    if (!order.filled) this._closeOrder(id, order, 'repriced');
+    else this.journal.record('update', order);
+
+    const { ticker, side, expiry, source, direction, volRegime, decision, at, exec } = order;
+    const cost = left * plan.price / 100;
+    try {
+      const next = await this._placeEntry({ ticker, side, price: plan.price, payout: 100 - plan.price, contracts: left, cost, fee: fees.orderFee(left, plan.price),
+        at, expiry, source, direction, volRegime, decision, exec: { ...exec, mode: plan.mode, reprices: exec.reprices + 1 } });
+      if (order.filled) this.totalBets++;
+      this.journal.saveStats(this._statsState());
+      this._log('🔁 Reprice', `${side.toUpperCase()} ${ticker} ×${left} ${order.price}→${plan.price}¢ ${plan.mode} (max ${exec.maxPrice}¢) ${next.id.slice(0, 8)}`);
+    } catch(e) {
+      if (!order.filled) this.totalBets--;
+      this.journal.saveStats(this._statsState());
+      this._log('❌ Reprice', `${ticker} ${e.message}`);
     }
   }
 
-  _getNearbyWinRate(priceBucket, timeBucket) {
-    const candidates = [];
+  // Neighbour blend — pool the ±5¢ / ±1m buckets around a thin one
+  _getNearbyWinRate(priceBucket, timeBucket, name = GLOBAL_TABLE, now = Date.now()) {
+    const table = this.learnedData.tables[name] || {};
+    const buckets = [];
     for (let dp = -5; dp <= 5; dp += 5) {
       for (let dt = -1; dt <= 1; dt++) {
         const p = priceBucket + dp;
         const t = timeBucket + dt;
         if (t < 1 || p < 50) continue;
-        const key = `fav${p}_${t}m`;
-        const b = this.learnedData.buckets[key];
-        if (b && (b.wins + b.losses) >= 3) {
-          candidates.push({ key, wr: b.wins / (b.wins + b.losses), n: b.wins + b.losses });
-        }
+        buckets.push(table[`fav${p}_${t}m`]);
+      }
+    }
+    const c = this._pool(buckets, now);
+    if (c.n < MIN_BUCKET_N) return null;
+    return { key: `fav${priceBucket}_${timeBucket}m±`, ...c };
+  }
+
+  // ══════════════════════════════════════
+  //  RUNTIME CONFIG
+  //
+  //  config.js holds the schema. Thresholds and
+  //  series are read per cycle; values copied into
+  //  risk, exits, execution, tracker and the paper
+  //  broker are pushed to them, and the scan timer
+  //  is rescheduled. Every change is audited.
+  // ══════════════════════════════════════
+
+  _scheduleScan() {
+    if (this._scanTimer) {
+      clearInterval(this._scanTimer);
+      this._intervals = this._intervals.filter(i => i !== this._scanTimer);
+    }
+    this._scanTimer = setInterval(() => { this._cycling = this._cycle(); }, this.cfg.scanMs);
+    this._intervals.push(this._scanTimer);
+  }
+
+  _loadConfig() {
+    try {
+      if (!fs.existsSync(CONFIG_FILE)) return;
+      const { dryRun, ...saved } = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      const { changes, errors } = config.validate(saved, this.cfg);
+      for (const c of changes) this.cfg[c.field] = c.to;
+      if (changes.length) console.log(`[SCALPER] Config overrides: ${changes.map(c => `${c.field}=${JSON.stringify(c.to)}`).join(' ')}`);
+      if (errors.length) console.log(`[SCALPER] Config overrides ignored — ${errors.join('; ')}`);
+    } catch(e) { console.log(`[SCALPER] Config overrides unreadable: ${e.message}`); }
+  }
+
+  // Only fields changed at runtime are saved, so env changes to the rest still take effect
+  _saveConfig(fields) {
+    try {
+      let saved = {};
+      if (fs.existsSync(CONFIG_FILE)) saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+      for (const f of fields) if (f !== 'dryRun') saved[f] = this.cfg[f];
+      fs.writeFileSync(CONFIG_FILE + '.tmp', JSON.stringify(saved, null, 2));
+      fs.renameSync(CONFIG_FILE + '.tmp', CONFIG_FILE);
+    } catch(e) { console.log(`[SCALPER] Config save failed: ${e.message}`); }
+  }
+
+  /**
+   * Change settings while running. All or nothing: one bad field rejects the
+   * patch. dryRun is refused while any order is open — paper and live orders
+   * must never share the tracker.
+   * → { ok, changes: [{ field, from, to }], errors }
+   */
+  async setConfig(patch, source = 'api') {
+    const { changes, errors } = config.validate(patch, this.cfg);
+    const live = changes.some(c => c.field === 'dryRun' && !c.to);
+    let account = null;
+    if (!errors.length && changes.some(c => c.field === 'dryRun')) {
+      await this._cycling;   // an entry mid-placement would land on the old broker
+      const open = this.tracker.orders.size;
+      if (open) errors.push(`dryRun: ${open} order(s) open — cancel or let them settle first`);
+      // Paper positions can't be carried onto the exchange
+      const paper = [...this.activeOrders.values()].filter(o => o.dry).length + [...this.arb.pairs.values()].filter(p => p.legs.some(l => l.dry)).length;
+      if (live && paper) errors.push(`dryRun: ${paper} paper position(s) open — let them settle first`);
+      if (live && !errors.length) {
+        try { account = await this._liveAccount(); }
+        catch(e) { errors.push(`dryRun: can't read the exchange account — ${e.message}`); }
       }
     }
-    if (!candidates.length) return null;
-    candidates.sort((a, b) => b.n - a.n);
-    return candidates[0];
+    if (errors.length) {
+      this._log('⚙️ Config', `rejected (${source}): ${errors.join('; ')}`);
+      return { ok: false, changes: [], errors };
+    }
+    if (!changes.length) return { ok: true, changes, errors };
+
+    for (const c of changes) this.cfg[c.field] = c.to;
+    this._applyConfig(changes.map(c => c.field));
+    this._saveConfig(changes.map(c => c.field));
+
+    const t = new Date().toISOString();
+    try { fs.appendFileSync(CONFIG_AUDIT_FILE, changes.map(c => JSON.stringify({ t, source, ...c })).join('\n') + '\n'); }
+    catch(e) { this._log('⚠️ Config', `audit write failed: ${e.message}`); }
+    this._log('⚙️ Config', `${changes.map(c => `${c.field} ${JSON.stringify(c.from)} → ${JSON.stringify(c.to)}`).join(', ')} (${source})`);
+    this.emit('config', { t, source, changes });
+    if (account) await this._goLive(account);
+    return { ok: true, changes, errors };
+  }
+
+  _applyConfig(fields) {
+    const c = this.cfg;
+    Object.assign(this.risk, {
+      maxExposure: c.riskMaxExposure, maxAsset: c.riskMaxAsset, maxExpiry: c.riskMaxExpiry,
+      dailyLoss: c.riskDailyLoss, maxLossStreak: c.riskMaxLossStreak, streakCooldownMin: c.riskStreakCooldownMin,
+    });
+    Object.assign(this.exits, { stopLossCents: c.stopLossCents, takeProfitCents: c.takeProfitCents, modelFlip: c.modelFlip });
+    Object.assign(this.execution, {
+      improveTicks: c.execImproveTicks, maxChaseCents: c.execMaxChaseCents,
+      crossSecs: c.execCrossSecs, crossEdge: c.execCrossEdge, joinSecs: c.execJoinSecs,
+    });
+    Object.assign(this.arb, {
+      minProfitCents: c.arbMinProfitCents, maxContracts: c.arbMaxContracts, maxFraction: c.arbMaxFraction,
+      legTimeoutSec: c.arbLegTimeoutSec, maxHedgeLossCents: c.arbMaxHedgeLossCents,
+    });
+    this.tracker.cancelBeforeSec = c.cancelBeforeSec;
+    if (this.paper) this.paper.ttlSec = c.paperTtlSec;
+    if (this.ladder) this.ladder.minProfitCents = c.ladderMinProfitCents;
+
+    if (fields.includes('dryRun')) {
+      this.paper = c.dryRun && this.kalshi ? new PaperBroker(this.kalshi, { ttlSec: c.paperTtlSec }) : null;
+      this.broker = this.paper || this.kalshi;
+      this.tracker.kalshi = this.exits.kalshi = this.arb.kalshi = this.broker;
+      this.arb.dry = !!this.paper;
+    }
+    if (fields.includes('scanMs') && this.running) this._scheduleScan();
+  }
+
+  /** The most recent config changes, newest first. */
+  configAudit(limit = 50) {
+    try {
+      if (!fs.existsSync(CONFIG_AUDIT_FILE)) return [];
+      return fs.readFileSync(CONFIG_AUDIT_FILE, 'utf8').split('\n').filter(Boolean).slice(-limit).reverse()
+        .map(l => { try { return JSON.parse(l); } catch(e) { return null; } }).filter(Boolean);
+    } catch(e) { return []; }
+  }
+
+  // ══════════════════════════════════════
+  //  STRATEGIES — live vs shadows
+  //
+  //  Shadows are in shadow.js. Promoting one
+  //  goes through setConfig, so it is validated
+  //  and audited like any other change.
+  // ══════════════════════════════════════
+
+  /**
+   * Make a shadow's settings live. The settings it replaces carry on as the
+   * shadow 'previous', for comparison or rollback.
+   */
+  async promote(name) {
+    const s = this.shadows?.get(name);
+    if (!s) return { ok: false, changes: [], errors: [`${name}: no such shadow strategy`] };
+    // The settings being replaced must be keepable as the rollback shadow before anything changes
+    const prev = Object.fromEntries(ShadowBook.FIELDS.map(f => [f, this.cfg[f]]));
+    const bad = ShadowBook.parse('previous', prev).errors;
+    if (bad.length) return { ok: false, changes: [], errors: bad.map(e => `current settings can't be kept as 'previous' — ${e}`) };
+    const r = await this.setConfig(s.overrides, `promote ${name}`);
+    if (!r.ok) return r;
+    const { pnl, bets } = s.getStatus();
+    this.shadows.remove(name);
+    const kept = this.shadows.add('previous', prev);
+    if (!kept.ok) {
+      this._log('⚠️ Promote', `${name} is live but the old settings were not kept: ${kept.errors.join('; ')}`);
+      return { ...r, warnings: [`no rollback shadow 'previous' was kept: ${kept.errors.join('; ')}`] };
+    }
+    this._log('🏆 Promote', `${name} is live (${bets} bets, ${pnl >= 0 ? '+' : ''}$${pnl} as a shadow) — old settings shadowed as 'previous'`);
+    return r;
+  }
+
+  /** The live strategy and every shadow, comparable side by side. */
+  strategies() {
+    const settled = this.totalWins + this.totalLosses;
+    const start = +process.env.STARTING_BANKROLL || 60;
+    const live = {
+      name: 'live', live: true, cfg: Object.fromEntries(ShadowBook.FIELDS.map(f => [f, this.cfg[f]])),
+      bankroll: +this.bankroll.toFixed(2), pnl: +(this.bankroll - start).toFixed(2),
+      drawdown: this.peak > 0 ? +((1 - this.bankroll / this.peak) * 100).toFixed(1) : 0,
+      bets: this.totalBets, wins: this.totalWins, losses: this.totalLosses, voided: 0,
+      wr: settled ? Math.round(this.totalWins / settled * 100) : 0,
+      wagered: +this.totalWagered.toFixed(2), fees: +this.totalFees.toFixed(2),
+      open: this.activeOrders.size, halted: this.risk.halted() ? this.risk.haltReason : null,
+    };
+    return [live, ...(this.shadows ? this.shadows.getStatus() : [])];
   }
 
   // ═══════════════════
@@ -513,13 +1786,13 @@ class BTCScalper extends EventEmitter {
   // ═══════════════════
 
   getStatus() {
-    const phase = this.learnedData.totalObserved >= this.cfg.minObservations ? 'TRADING' : 'LEARNING';
+    const phase = this._phase() === 'TRADE' ? 'TRADING' : 'LEARNING';
     const pnl = +(this.bankroll - (+process.env.STARTING_BANKROLL || 60)).toFixed(2);
 
     // Active positions as array for dashboard
     const active = [];
     for (const [id, o] of this.activeOrders) {
-      active.push({ id, ticker: o.ticker, side: o.side, price: o.price, contracts: o.contracts, cost: o.cost });
+      active.push({ id, ticker: o.ticker, side: o.side, price: o.price, contracts: o.contracts, cost: o.cost, filled: o.filled, status: o.status, exited: this.exits.exited(o).count });
     }
 
     // Next expiry countdown
@@ -540,10 +1813,22 @@ class BTCScalper extends EventEmitter {
       btcPrice: this.feed.getSignals().price || 0,
       btc: { price: this.feed.getSignals().price || 0 },
       source: this.feed.candleSource || this.feed.source || '?',
-      strategy: phase === 'LEARNING' ? `Learning (${this.learnedData.totalObserved}/${this.cfg.minObservations})` : `Data-Driven (${this.learnedData.totalObserved} obs)`,
+      strategy: phase === 'LEARNING' ? `Learning (${this.learnedData.totalObserved}/${MIN_BUCKET_N} obs)` : `Data-Driven (${this.learnedData.totalObserved} obs · ${(this.cfg.confidence * 100).toFixed(0)}% ${this.cfg.estimator})`,
       active,
       countdown,
       watching: this.watchlist.size,
+      stream: this.stream ? this.stream.getStatus() : null,
+      api: this.kalshi.stats,
+      orders: this.tracker.getStatus(),
+      paper: this.paper?.getStatus() || null,
+      tape: this.tape ? this.tape.getStatus() : null,
+      decisions: this.decisions ? this.decisions.getStatus() : null,
+      data: this.store.getStatus(),
+      arb: this.arb.summary(),
+      ladder: this.ladder ? { at: this.ladder.at ? new Date(this.ladder.at).toISOString() : null, ladders: this.ladder.ladders.length, opportunities: this.ladder.opportunities.length, error: this.ladder.error } : null,
+      strategies: this.strategies().map(({ recent, ...s }) => s),
+      risk: this.risk.getStatus(),
+      killed: this.killStatus(),
       log: this.logs.slice(-30),
       recentBets: this.bets.slice(-20).map(b => ({
         ...b, ticker: b.ticker, side: b.side, won: b.won,
@@ -553,11 +1838,18 @@ class BTCScalper extends EventEmitter {
         bets: this.totalBets, wins: this.totalWins, losses: this.totalLosses,
         wr: this.totalBets > 0 ? Math.round(this.totalWins / this.totalBets * 100) : 0,
         wagered: +this.totalWagered.toFixed(2), streak: this._streak,
+        exits: this.totalExits, exitPnl: +this.exitPnl.toFixed(2), settlePnl: +this.settlePnl.toFixed(2),
+        fees: +this.totalFees.toFixed(2),
         drawdown: this.peak > 0 ? +((1 - this.bankroll / this.peak) * 100).toFixed(1) : 0,
         observations: this.learnedData.totalObserved,
-        bucketCount: Object.keys(this.learnedData.buckets).length,
+        bucketCount: Object.keys(this.learnedData.tables[GLOBAL_TABLE]).length,
+        featureCount: Object.keys(this.learnedData.features[GLOBAL_TABLE] || {}).length,
       },
-      bucketData: this.learnedData.buckets,
+      bucketData: Object.fromEntries(Object.entries(this.learnedData.tables[GLOBAL_TABLE]).map(([k, b]) => {
+        const ci = this._bucketInterval(k, b);
+        return [k, { ...b, n: ci.n, wr: +(b.wins / ci.n).toFixed(3), lo: +ci.lower.toFixed(3), hi: +ci.upper.toFixed(3) }];
+      })),
+      tables: Object.fromEntries(Object.entries(this.learnedData.tables).map(([k, t]) => [k, Object.keys(t).length])),
     };
   }
 }
@@ -10,6 +10,8 @@
  *  4. Time value — contracts expiring soon = faster resolution
  */
 
+const fees = require('./fees');
+
 class MarketScanner {
   constructor(client) {
     this.client = client;
@@ -20,12 +22,12 @@ class MarketScanner {
   // ─── Fee Calculation ──────────────────────────────────────────
 
   /**
-   * Kalshi taker fee: 0.07 * P * (1 - P)
+   * Kalshi taker fee per contract: 0.07 * P * (1 - P) — see fees.js
    * P is price in dollars (0-1)
    * Max fee is at P=0.50 → $0.0175 per contract
    */
   static calcFee(priceDollars) {
-    return 0.07 * priceDollars * (1 - priceDollars);
+    return fees.perContract(priceDollars * 100);
   }
 
   // ─── Scan All Markets ─────────────────────────────────────────
@@ -182,25 +184,37 @@ class MarketScanner {
   // ─── Orderbook Analysis ───────────────────────────────────────
 
   _analyzeOrderbook(orderbook) {
-    const yesBids = orderbook?.yes_dollars || orderbook?.yes || [];
-    const noBids = orderbook?.no_dollars || orderbook?.no || [];
+    return MarketScanner.analyzeOrderbook(orderbook);
+  }
+
+  /**
+   * Best bids/asks (dollars), spread and liquidity for a book. Takes the
+   * getOrderbook response or its `orderbook`; levels may be integer cents
+   * (`yes`/`no`) or dollar strings (`yes_dollars`/`no_dollars`).
+   */
+  static analyzeOrderbook(orderbook) {
+    const ob = orderbook?.orderbook || orderbook;
+    const yesBids = ob?.yes_dollars || ob?.yes || [];
+    const noBids = ob?.no_dollars || ob?.no || [];
 
     let bestYesBid = 0;
     let bestNoBid = 0;
+    let bestYesBidSize = 0;
+    let bestNoBidSize = 0;
     let totalYesLiquidity = 0;
     let totalNoLiquidity = 0;
 
     for (const [price, qty] of yesBids) {
-      const p = parseFloat(price) || (price / 100);
-      const q = parseFloat(qty) || qty;
-      if (p > bestYesBid) bestYesBid = p;
+      const p = typeof price === 'string' ? parseFloat(price) : price / 100;
+      const q = parseFloat(qty) || 0;
+      if (p > bestYesBid) { bestYesBid = p; bestYesBidSize = q; }
       totalYesLiquidity += p * q;
     }
 
     for (const [price, qty] of noBids) {
-      const p = parseFloat(price) || (price / 100);
-      const q = parseFloat(qty) || qty;
-      if (p > bestNoBid) bestNoBid = p;
+      const p = typeof price === 'string' ? parseFloat(price) : price / 100;
+      const q = parseFloat(qty) || 0;
+      if (p > bestNoBid) { bestNoBid = p; bestNoBidSize = q; }
       totalNoLiquidity += p * q;
     }
 
@@ -215,6 +229,8 @@ class MarketScanner {
       bestYesAsk,
       bestNoBid,
       bestNoAsk,
+      bestYesBidSize,
+      bestNoBidSize,
       spread: Math.round(spread * 10000) / 10000,
       totalLiquidity: Math.round((totalYesLiquidity + totalNoLiquidity) * 100) / 100,
       estimatedSlippage: spread * 0.5,
@@ -3,6 +3,8 @@ const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
 const BTCScalper = require('./scalper');
+const DecisionJournal = require('./decision-journal');
+const config = require('./config');
 
 const app = express();
 const server = http.createServer(app);
@@ -16,7 +18,71 @@ const bot = new BTCScalper();
 
 // API
 app.get('/api/status', (req, res) => { try { res.json(bot.getStatus()); } catch(e) { res.status(500).json({ error: e.message }); } });
-app.get('/api/correction', (req, res) => { try { res.json(bot.correction.getStatus()); } catch(e) { res.status(500).json({ error: e.message }); } });
+app.get('/api/correction', (req, res) => { try { res.json(bot.correction ? bot.correction.getStatus() : { enabled: false }); } catch(e) { res.status(500).json({ error: e.message }); } });
+// Decision journal — ?ticker=&taken=true|false&reason=edge&settled=true&from=&to=&limit=&format=csv
+app.get('/api/journal', async (req, res) => {
+  try {
+    if (!bot.decisions) return res.status(404).json({ error: 'decision journal disabled' });
+    const q = req.query;
+    const bool = (v) => v == null ? undefined : v === 'true';
+    const records = await bot.decisions.query({ ticker: q.ticker, reason: q.reason, taken: bool(q.taken), settled: bool(q.settled),
+      from: q.from, to: q.to, limit: q.format === 'csv' ? +q.limit || undefined : +q.limit || 500 });
+    if (q.format === 'csv') {
+      res.type('text/csv').attachment(`decisions-${new Date().toISOString().slice(0, 10)}.csv`);
+      return res.send(DecisionJournal.toCSV(records));
+    }
+    res.json({ count: records.length, records });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+// Runtime settings — PUT a partial object ({ minEdge: 0.08 }); X-Changed-By names the caller in the audit trail
+app.get('/api/config', (req, res) => {
+  try { res.json({ cfg: bot.cfg, schema: config.SCHEMA, audit: bot.configAudit(+req.query.limit || 50) }); }
+  catch(e) { res.status(500).json({ error: e.message }); }
+});
+app.put('/api/config', async (req, res) => {
+  try {
+    const result = await bot.setConfig(req.body, req.get('x-changed-by') || `api ${req.ip}`);
+    res.status(result.ok ? 200 : 400).json({ ...result, cfg: bot.cfg });
+  } catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+// Learned data persistence — status and backups; recover { source: 'fresh' | 'learned_data.json.2' } after a bad load
+app.get('/api/data', (req, res) => {
+  try { res.json({ ...bot.store.getStatus(), observations: bot.learnedData.totalObserved, backups: bot.store.listBackups() }); }
+  catch(e) { res.status(500).json({ error: e.message }); }
+});
+app.post('/api/data/recover', (req, res) => {
+  try {
+    if (!req.body?.source) return res.status(400).json({ ok: false, error: "source required: 'fresh' or a backup name from GET /api/data" });
+    res.json({ ok: true, ...bot.recoverData(req.body.source), observations: bot.learnedData.totalObserved });
+  } catch(e) { res.status(400).json({ ok: false, error: e.message }); }
+});
+// Same-market YES/NO pairs — locked-profit stats, open pairs and their legs, last opportunities
+app.get('/api/arb', (req, res) => { try { res.json(bot.arb.getStatus()); } catch(e) { res.status(500).json({ error: e.message }); } });
+// Cross-strike ladders — implied distributions per event and violations that pay after fees; ?refresh=1 re-reads the markets now
+app.get('/api/ladder', async (req, res) => {
+  try {
+    if (!bot.ladder) return res.status(404).json({ error: 'ladder checks unavailable offline' });
+    if (req.query.refresh) await bot.ladder.refresh();
+    res.json(bot.ladder.getStatus());
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+// Strategies — live plus shadows side by side; PUT { cfg: { minEdge: 0.1 } } adds or resets a shadow
+app.get('/api/strategies', (req, res) => { try { res.json({ strategies: bot.strategies() }); } catch(e) { res.status(500).json({ error: e.message }); } });
+app.put('/api/strategies/:name', (req, res) => {
+  try {
+    if (!bot.shadows) return res.status(404).json({ ok: false, errors: ['shadow strategies disabled'] });
+    const r = bot.shadows.add(req.params.name, req.body?.cfg);
+    res.status(r.ok ? 200 : 400).json(r);
+  } catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+app.delete('/api/strategies/:name', (req, res) => {
+  try { const ok = !!bot.shadows?.remove(req.params.name); res.status(ok ? 200 : 404).json({ ok }); }
+  catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+app.post('/api/strategies/:name/promote', async (req, res) => {
+  try { const r = await bot.promote(req.params.name); res.status(r.ok ? 200 : 400).json(r); }
+  catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
 app.post('/api/start', async (req, res) => {
   try { await bot.start(); res.json({ ok: true, running: bot.running }); }
   catch(e) { console.error('[SERVER] Start failed:', e); res.status(500).json({ ok: false, error: e.message }); }
@@ -29,6 +95,17 @@ app.post('/api/pause', (req, res) => {
   try { bot.paused = !bot.paused; res.json({ paused: bot.paused }); }
   catch(e) { res.status(500).json({ ok: false, error: e.message }); }
 });
+// Emergency stop — cancels everything resting, optionally sells out ({ flatten: true }), latches until acked
+app.post('/api/kill', async (req, res) => {
+  try {
+    const report = await bot.shutdown({ reason: req.body?.reason || 'kill switch', flatten: !!req.body?.flatten, kill: true });
+    res.json({ ok: true, ...report });
+  } catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
+app.post('/api/kill/ack', (req, res) => {
+  try { res.json({ ok: true, cleared: bot.acknowledgeKill() }); }
+  catch(e) { res.status(500).json({ ok: false, error: e.message }); }
+});
 
 // WebSocket
 const broadcast = (data) => { const msg = JSON.stringify(data); wss.clients.forEach(c => { if (c.readyState === WebSocket.OPEN) c.send(msg); }); };
@@ -36,6 +113,8 @@ const broadcast = (data) => { const msg = JSON.stringify(data); wss.clients.forE
 bot.on('status', s => broadcast({ type: 'status', data: s }));
 bot.on('log', l => broadcast({ type: 'log', data: l }));
 bot.on('correction', c => broadcast({ type: 'correction', data: c }));
+bot.on('config', c => broadcast({ type: 'config', data: c }));
+bot.on('ladder', o => broadcast({ type: 'ladder', data: o }));
 
 wss.on('connection', ws => {
   ws.send(JSON.stringify({ type: 'status', data: bot.getStatus() }));
@@ -44,4 +123,20 @@ wss.on('connection', ws => {
 // Periodic broadcast
 setInterval(() => { if (bot.running) broadcast({ type: 'status', data: bot.getStatus() }); }, 5000);
 
+// Graceful shutdown — SIGTERM from Railway on redeploy, SIGINT from Ctrl-C
+let exiting = false;
+async function onSignal(sig) {
+  if (exiting) return;
+  exiting = true;
+  console.log(`[SERVER] ${sig} — shutting down`);
+  setTimeout(() => { console.error('[SERVER] Shutdown timed out'); process.exit(1); }, +process.env.SHUTDOWN_TIMEOUT_MS || 15000).unref();
+  try { await bot.shutdown({ reason: sig, flatten: (process.env.SHUTDOWN_FLATTEN || 'false').toLowerCase() === 'true' }); }
+  catch(e) { console.error('[SERVER] Shutdown failed:', e.message); }
+  await bot.shutdownSettled();   // a kill that arrived meanwhile runs its own pass — let it finish
+  server.close();
+  process.exit(0);
+}
+process.on('SIGINT', () => onSignal('SIGINT'));
+process.on('SIGTERM', () => onSignal('SIGTERM'));
+
 server.listen(PORT, () => console.log(`\n🎰 YOLO ENGINE v2.0 — BTC SCALPER\n🌐 http://localhost:${PORT}\n`));
@@ -0,0 +1,275 @@
+/**
+ * SHADOW STRATEGIES — named variants paper-trading beside the live scalper
+ *
+ * A variant is a set of cfg overrides (minEdge, confidence, estimator,
+ * bucketScheme, sizing, risk limits). Each cycle it runs the scalper's own
+ * _evaluate over the same watchlist, feed, learned tables and correction
+ * engine — through a view of the live bot with its own cfg and bankroll —
+ * and books what it would have bought. Nothing is sent anywhere: fills are
+ * assumed at the quoted ask (taker fee), as in the backtester, and held to
+ * settlement, so a shadow is an upper bound on the fills a live entry gets.
+ *
+ * State (definitions, bankrolls, stats, open positions) lives in
+ * shadows/state.json; each variant journals its entries and settlements
+ * to shadows/<name>.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const RiskManager = require('./risk-manager');
+
+// What a variant may change — everything _evaluate and the risk check read
+const FIELDS = [
+  'confidence', 'estimator', 'priorStrength', 'bucketScheme', 'minEdge', 'maxBets',
+  'recency', 'recencyHalfLifeHours', 'recencyWindowHours', 'recencyWeighting',
+  'driftGuard', 'driftConfidence', 'driftMinGap', 'driftMinN',
+  'kellyFraction', 'maxBetFraction', 'minContracts', 'floorMaxFrac',
+  'riskMaxExposure', 'riskMaxAsset', 'riskMaxExpiry', 'riskDailyLoss', 'riskMaxLossStreak', 'riskStreakCooldownMin',
+];
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const VOID_AFTER_MS = 3600000;   // a position whose market never reports a result
+
+class ShadowStrategy {
+  constructor(name, overrides, live, state = {}) {
+    this.name = name;
+    this.overrides = overrides;
+    this.live = live;
+
+    // Reads fall through to the live bot and its cfg; only these are the shadow's own
+    this.view = Object.create(live);
+    this.view.cfg = Object.assign(Object.create(live.cfg), overrides);
+    this.view.bankroll = state.bankroll ?? (+process.env.STARTING_BANKROLL || 60);
+
+    this.risk = new RiskManager();
+    if (state.risk) this.risk.restore(state.risk);
+    this.start = state.start ?? this.view.bankroll;
+    this.since = state.since || new Date().toISOString();
+    this.peak = state.peak ?? this.view.bankroll;
+    this.stats = { bets: 0, wins: 0, losses: 0, voided: 0, wagered: 0, fees: 0, ...state.stats };
+    this.open = new Map((state.open || []).map(p => [p.ticker, p]));
+    this.recent = state.recent || [];
+  }
+
+  get cfg() { return this.view.cfg; }
+  get bankroll() { return this.view.bankroll; }
+
+  _limits() {
+    const c = this.cfg;
+    Object.assign(this.risk, {
+      maxExposure: c.riskMaxExposure, maxAsset: c.riskMaxAsset, maxExpiry: c.riskMaxExpiry,
+      dailyLoss: c.riskDailyLoss, maxLossStreak: c.riskMaxLossStreak, streakCooldownMin: c.riskStreakCooldownMin,
+    });
+  }
+
+  /** Positions this variant would open on `watchlist` at `now`. */
+  evaluate(watchlist, sig, now) {
+    this._limits();
+    if (this.risk.halted(now)) return [];
+    const opened = [];
+    for (const [ticker, w] of watchlist) {
+      if (w.resolved || this.open.has(ticker)) continue;
+      if (this.open.size >= this.cfg.maxBets) break;
+      const d = this.view._evaluate(w, sig, now);
+      if (!d || !d.trade) continue;
+
+      const positions = [...this.open.values()].map(p => ({ ...p, cost: p.cost + p.fee }));
+      if (this.risk.check({ ticker, asset: w.info.asset, expiry: w.expiry, cost: d.cost + d.fee }, positions, this.bankroll, now)) continue;
+
+      const p = {
+        ticker, asset: w.info.asset, expiry: w.expiry, side: d.side, price: d.price, contracts: d.contracts,
+        cost: d.cost, fee: d.fee, at: new Date(now).toISOString(), minsLeft: +d.minsLeft.toFixed(2),
+        edge: +d.edge.toFixed(4), minEdge: +d.minEdge.toFixed(4), source: d.est.source,
+      };
+      this.open.set(ticker, p);
+      this.stats.bets++;
+      this.stats.wagered += p.cost;
+      opened.push(p);
+    }
+    return opened;
+  }
+
+  /** Book a resolved market. Returns the closed position, or null when we held none. */
+  settle(ticker, result, now) {
+    const p = this.open.get(ticker);
+    if (!p) return null;
+    this.open.delete(ticker);
+    const won = result === p.side;
+    const pnl = (won ? p.contracts * (100 - p.price) / 100 : -p.cost) - p.fee;
+    this.view.bankroll += pnl;
+    this.peak = Math.max(this.peak, this.bankroll);
+    this.risk.onSettle(pnl, this.bankroll, now);
+    if (won) this.stats.wins++; else this.stats.losses++;
+    this.stats.fees += p.fee;
+    const closed = { ...p, result, won, pnl: +pnl.toFixed(2), bankroll: +this.bankroll.toFixed(2) };
+    this.recent = [...this.recent, closed].slice(-20);
+    return closed;
+  }
+
+  // A market that vanished or never resolved — the stake comes back, the bet doesn't count
+  void(ticker) {
+    const p = this.open.get(ticker);
+    if (!p) return null;
+    this.open.delete(ticker);
+    this.stats.bets--;
+    this.stats.voided++;
+    this.stats.wagered -= p.cost;
+    return p;
+  }
+
+  serialize() {
+    return {
+      cfg: this.overrides, since: this.since, start: this.start, bankroll: this.bankroll, peak: this.peak,
+      stats: this.stats, risk: this.risk.serialize(), open: [...this.open.values()], recent: this.recent,
+    };
+  }
+
+  getStatus() {
+    const settled = this.stats.wins + this.stats.losses;
+    return {
+      name: this.name, live: false, cfg: this.overrides, since: this.since,
+      bankroll: +this.bankroll.toFixed(2), pnl: +(this.bankroll - this.start).toFixed(2),
+      drawdown: this.peak > 0 ? +((1 - this.bankroll / this.peak) * 100).toFixed(1) : 0,
+      bets: this.stats.bets, wins: this.stats.wins, losses: this.stats.losses, voided: this.stats.voided,
+      wr: settled ? Math.round(this.stats.wins / settled * 100) : 0,
+      wagered: +this.stats.wagered.toFixed(2), fees: +this.stats.fees.toFixed(2),
+      open: this.open.size, halted: this.risk.halted() ? this.risk.haltReason : null,
+      recent: this.recent.slice(-10),
+    };
+  }
+}
+
+class ShadowBook {
+  constructor(live, opts = {}) {
+    this.live = live;
+    this.dir = opts.dir || process.env.SHADOW_DIR || './shadows';
+    this.strategies = new Map();
+  }
+
+  // ═══════════════════
+  //  DEFINITIONS
+  // ═══════════════════
+
+  /** Checked overrides for a variant → { overrides, errors }. */
+  static parse(name, cfg) {
+    const errors = [], overrides = {};
+    if (!NAME_RE.test(name || '')) errors.push(`name: lowercase letters, digits, - and _ (max 32)`);
+    if (name === 'live') errors.push(`name: 'live' is the live strategy`);
+    if (!cfg || typeof cfg !== 'object' || Array.isArray(cfg) || !Object.keys(cfg).length) {
+      errors.push('cfg: expected an object of overrides');
+      return { overrides, errors };
+    }
+    for (const [field, raw] of Object.entries(cfg)) {
+      if (!FIELDS.includes(field)) { errors.push(`${field}: not a strategy setting (${FIELDS.join(', ')})`); continue; }
+      const [v, err] = config.coerce(field, raw);
+      if (err) errors.push(`${field}: ${err}`); else overrides[field] = v;
+    }
+    return { overrides, errors };
+  }
+
+  /** Add or replace a variant. Replacing starts its record over. → { ok, errors } */
+  add(name, cfg, state) {
+    const { overrides, errors } = ShadowBook.parse(name, cfg);
+    if (errors.length) return { ok: false, errors };
+    this.strategies.set(name, new ShadowStrategy(name, overrides, this.live, state));
+    this._journal(name, { ev: 'define', cfg: overrides });
+    this.save();
+    return { ok: true, errors };
+  }
+
+  remove(name) {
+    if (!this.strategies.delete(name)) return false;
+    this._journal(name, { ev: 'remove' });
+    this.save();
+    return true;
+  }
+
+  get(name) { return this.strategies.get(name) || null; }
+
+  // ═══════════════════
+  //  TRADING
+  // ═══════════════════
+
+  evaluate(sig, now = Date.now()) {
+    let any = false;
+    for (const s of this.strategies.values()) {
+      for (const p of s.evaluate(this.live.watchlist, sig, now)) { this._journal(s.name, { ev: 'open', ...p }); any = true; }
+      for (const [ticker, p] of s.open) {
+        if (now > p.expiry + VOID_AFTER_MS && !this.live.watchlist.has(ticker)) { this._journal(s.name, { ev: 'void', ...s.void(ticker) }); any = true; }
+      }
+    }
+    if (any) this.save();
+  }
+
+  settle(ticker, result, now = Date.now()) {
+    let any = false;
+    for (const s of this.strategies.values()) {
+      const closed = s.settle(ticker, result, now);
+      if (closed) { this._journal(s.name, { ev: 'settle', ...closed }); any = true; }
+    }
+    if (any) this.save();
+  }
+
+  void(ticker) {
+    let any = false;
+    for (const s of this.strategies.values()) {
+      const p = s.void(ticker);
+      if (p) { this._journal(s.name, { ev: 'void', ...p }); any = true; }
+    }
+    if (any) this.save();
+  }
+
+  // ═══════════════════
+  //  PERSISTENCE
+  // ═══════════════════
+
+  _journal(name, entry) {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.appendFileSync(path.join(this.dir, `${name}.jsonl`), JSON.stringify({ t: new Date().toISOString(), ...entry }) + '\n');
+    } catch(e) { console.log(`[SHADOW] Journal write failed: ${e.message}`); }
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const file = path.join(this.dir, 'state.json');
+      const state = Object.fromEntries([...this.strategies].map(([name, s]) => [name, s.serialize()]));
+      fs.writeFileSync(file + '.tmp', JSON.stringify(state, null, 2));
+      fs.renameSync(file + '.tmp', file);
+    } catch(e) { console.log(`[SHADOW] Save failed: ${e.message}`); }
+  }
+
+  /**
+   * Saved variants. `defs` ({ name: overrides }, from SHADOW_STRATEGIES) only
+   * seed the first start — after that the saved state and the API decide,
+   * so a removed or promoted variant stays gone.
+   */
+  load(defs = {}) {
+    const file = path.join(this.dir, 'state.json');
+    if (!fs.existsSync(file)) {
+      for (const [name, cfg] of Object.entries(defs)) {
+        const r = this.add(name, cfg);
+        if (!r.ok) console.log(`[SHADOW] Skipped ${name}: ${r.errors.join('; ')}`);
+      }
+    } else {
+      let saved = {};
+      try { saved = JSON.parse(fs.readFileSync(file, 'utf8')); }
+      catch(e) { console.log(`[SHADOW] State unreadable, starting over: ${e.message}`); }
+      for (const [name, st] of Object.entries(saved)) {
+        const { overrides, errors } = ShadowBook.parse(name, st.cfg);
+        if (errors.length) { console.log(`[SHADOW] Dropped ${name}: ${errors.join('; ')}`); continue; }
+        this.strategies.set(name, new ShadowStrategy(name, overrides, this.live, st));
+      }
+    }
+    if (this.strategies.size) console.log(`[SHADOW] ${this.strategies.size} shadow strategies: ${[...this.strategies.keys()].join(', ')}`);
+  }
+
+  getStatus() {
+    return [...this.strategies.values()].map(s => s.getStatus());
+  }
+}
+
+module.exports = ShadowBook;
+module.exports.ShadowStrategy = ShadowStrategy;
+module.exports.FIELDS = FIELDS;
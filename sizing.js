@@ -0,0 +1,44 @@
+/**
+ * SIZING — fractional Kelly for binary contracts
+ *
+ * Buying at C (price + fee, in dollars) pays 1 − C on a win and loses C
+ * otherwise, so full Kelly is
+ *
+ *   f* = (p − C) / (1 − C)
+ *
+ * p is the conservative end of the win-rate interval, never the raw
+ * rate, so thin buckets size themselves down. The stake is f* times the
+ * Kelly fraction, capped at a share of bankroll, then floored at a
+ * minimum contract count.
+ */
+
+/** Full-Kelly bankroll fraction for win probability p at all-in cost c (dollars). */
+function kelly(p, c) {
+  if (c <= 0 || c >= 1) return 0;
+  return Math.max(0, (p - c) / (1 - c));
+}
+
+/**
+ * Contracts to buy.
+ * opts: { p, priceCents, feePerContract ($), bankroll ($), fraction, scale, maxFraction, minContracts }
+ * scale multiplies the Kelly fraction (correction-engine size multiplier); the cap still applies.
+ * → { contracts, full, stakeFrac, stake, limit: 'kelly'|'cap'|'floor'|'none', rationale }
+ */
+function size(opts) {
+  const { p, priceCents, feePerContract = 0, bankroll, fraction = 0.25, scale = 1, maxFraction = 0.10, minContracts = 1 } = opts;
+  const unit = priceCents / 100 + feePerContract;
+  const full = kelly(p, unit);
+  const frac = full * fraction * scale;
+  const stakeFrac = Math.min(frac, maxFraction);
+  let contracts = Math.floor(bankroll * stakeFrac / unit);
+  let limit = frac > maxFraction ? 'cap' : 'kelly';
+  if (full <= 0) { contracts = 0; limit = 'none'; }
+  else if (contracts < minContracts) { contracts = minContracts; limit = 'floor'; }
+
+  const pct = (x) => (x * 100).toFixed(1) + '%';
+  const rationale = `kelly ${pct(full)}×${fraction}${scale !== 1 ? `×${+scale.toFixed(2)}` : ''}=${pct(frac)}${limit === 'cap' ? ` cap ${pct(maxFraction)}` : ''}`
+    + ` of $${bankroll.toFixed(2)} @${(unit * 100).toFixed(1)}¢ p≥${p.toFixed(3)} → ${contracts}${limit === 'floor' ? ' (floor)' : ''}`;
+  return { contracts, full, stakeFrac, stake: +(bankroll * stakeFrac).toFixed(2), limit, rationale };
+}
+
+module.exports = { kelly, size };
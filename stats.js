@@ -0,0 +1,131 @@
+/**
+ * STATS — confidence bounds for observed win rates
+ *
+ * A bucket that went 3-for-3 does not win 100% of the time. Every
+ * win rate the scalper trades on goes through here first and comes
+ * back as an interval; edge and sizing use the conservative end.
+ *
+ *   beta   — Beta posterior with a prior centred on the market price
+ *   wilson — Wilson score interval, no prior
+ */
+
+// ─── Distributions ────────────────────────────────────────────
+
+/** Inverse standard normal CDF (Acklam's rational approximation). */
+function normInv(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const lo = 0.02425, hi = 1 - lo;
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p < lo) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) / ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+  }
+  if (p > hi) return -normInv(1 - p);
+  const q = p - 0.5, r = q * q;
+  return (((((a[0]*r + a[1])*r + a[2])*r + a[3])*r + a[4])*r + a[5])*q / (((((b[0]*r + b[1])*r + b[2])*r + b[3])*r + b[4])*r + 1);
+}
+
+function lnGamma(z) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let x = z, y = z, tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const v of g) ser += v / ++y;
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+// Continued fraction for the incomplete beta (Numerical Recipes betacf)
+function betacf(a, b, x) {
+  const FPMIN = 1e-300;
+  const qab = a + b, qap = a + 1, qam = a - 1;
+  let c = 1, d = 1 - qab * x / qap;
+  if (Math.abs(d) < FPMIN) d = FPMIN;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d; h *= d * c;
+    aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+    d = 1 + aa * d; if (Math.abs(d) < FPMIN) d = FPMIN;
+    c = 1 + aa / c; if (Math.abs(c) < FPMIN) c = FPMIN;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 3e-12) break;
+  }
+  return h;
+}
+
+/** Regularized incomplete beta I_x(a, b) — the Beta(a, b) CDF at x. */
+function betaCdf(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ? bt * betacf(a, b, x) / a : 1 - bt * betacf(b, a, 1 - x) / b;
+}
+
+/** Beta(a, b) quantile by bisection — plenty fast for a few dozen buckets. */
+function betaInv(p, a, b) {
+  let lo = 0, hi = 1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (betaCdf(mid, a, b) < p) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── Intervals ────────────────────────────────────────────────
+
+/** Wilson score interval at two-sided confidence `conf`. */
+function wilson(wins, n, conf = 0.9) {
+  if (!n) return { mean: null, lower: 0, upper: 1 };
+  const z = normInv(1 - (1 - conf) / 2);
+  const p = wins / n, z2 = z * z;
+  const centre = (p + z2 / (2 * n)) / (1 + z2 / n);
+  const half = (z * Math.sqrt(p * (1 - p) / n + z2 / (4 * n * n))) / (1 + z2 / n);
+  return { mean: p, lower: Math.max(0, centre - half), upper: Math.min(1, centre + half) };
+}
+
+/**
+ * Beta posterior. The prior is worth `strength` pseudo-observations
+ * centred on `priorMean` (the market-implied probability), so a thin
+ * bucket stays close to what the market already says.
+ */
+function betaPosterior(wins, n, priorMean, strength = 10, conf = 0.9) {
+  const m = Math.max(0.01, Math.min(0.99, priorMean));
+  const a = m * strength + wins;
+  const b = (1 - m) * strength + (n - wins);
+  return {
+    mean: a / (a + b),
+    lower: betaInv((1 - conf) / 2, a, b),
+    upper: betaInv(1 - (1 - conf) / 2, a, b),
+  };
+}
+
+/**
+ * Interval for a win count using the configured estimator.
+ * opts: { estimator: 'beta'|'wilson', confidence, priorStrength }
+ * A priorStrength of 0 leaves the beta nothing to lean on — Wilson is used instead.
+ */
+function estimate(wins, n, marketP, opts = {}) {
+  const conf = opts.confidence || 0.9;
+  const strength = opts.priorStrength ?? 10;
+  const beta = opts.estimator !== 'wilson' && marketP != null && strength > 0;
+  const r = beta ? betaPosterior(wins, n, marketP, strength, conf) : wilson(wins, n, conf);
+  return { ...r, n, wins, method: beta ? 'beta' : 'wilson', confidence: conf };
+}
+
+/** "83%[61–94]" — a win rate with its interval, for logs. */
+function fmt(e) {
+  const pct = (x) => (x * 100).toFixed(0);
+  return `${pct(e.mean ?? 0)}%[${pct(e.lower)}–${pct(e.upper)}]`;
+}
+
+module.exports = { normInv, betaCdf, betaInv, wilson, betaPosterior, estimate, fmt };
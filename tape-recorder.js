@@ -0,0 +1,257 @@
+/**
+ * TAPE RECORDER — raw market history
+ *
+ * Learning collapses every watch into bucket counters and then forgets
+ * it. The tape keeps what the counters throw away: every market as it
+ * was first seen, every snapshot, every getSignals() output, every order
+ * event and every settlement, one JSON line each.
+ *
+ * Files rotate by UTC day and size: tape/tape-2026-10-19-000.jsonl.
+ * Lines are buffered and appended off the trading loop every flushMs.
+ * Each new day prunes files older than maxAgeDays, then the oldest
+ * segments until the tape fits in maxTotalMb. TapeReader streams them
+ * back in order for re-bucketing, analysis or replay.
+ *
+ *   market     — { ticker, title, floor_strike, cap_strike, close_time, info }
+ *   snapshot   — { ticker, minsLeft, yesAsk, noAsk, yesBid, noBid, btcPrice, dist, vol, regime, ... }
+ *   signals    — getSignals() output
+ *   order      — { ev: placed|fill|cancel|exit|settled|closed, order }
+ *   settlement — { ticker, result, expiry, strike, table }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const FILE_RE = /^tape-(\d{4}-\d{2}-\d{2})-(\d{3})\.jsonl$/;
+
+/**
+ * Delete day files in `dir` (names matching `re`, UTC day in group 1)
+ * older than maxAgeDays, then the oldest until all of them fit in
+ * maxBytes. Files of `day` — today — are never touched; 0 turns a limit
+ * off. → files removed
+ */
+function prune(dir, re, { day, maxAgeDays = 0, maxBytes = 0 }) {
+  const cutoff = maxAgeDays ? new Date(Date.parse(day) - maxAgeDays * 86400000).toISOString().slice(0, 10) : null;
+  const files = fs.readdirSync(dir).map(f => ({ f, m: f.match(re) })).filter(x => x.m).sort((a, b) => (a.f < b.f ? -1 : 1))
+    .map(({ f, m }) => ({ file: path.join(dir, f), day: m[1], size: fs.statSync(path.join(dir, f)).size }));
+  let total = files.reduce((n, x) => n + x.size, 0), removed = 0;
+  for (const x of files) {
+    const old = cutoff && x.day < cutoff, over = maxBytes && total > maxBytes;
+    if (x.day >= day || (!old && !over)) break;
+    fs.unlinkSync(x.file);
+    total -= x.size;
+    removed++;
+  }
+  return removed;
+}
+
+// Orders carry a per-trade fill Map; the tape keeps the totals
+function plainOrder(order) {
+  const { fills, ...o } = order;
+  if (o.exits) o.exits = o.exits.map(({ fills, ...x }) => x);
+  return o;
+}
+
+class TapeRecorder {
+  constructor(opts = {}) {
+    this.dir = opts.dir || process.env.TAPE_DIR || './tape';
+    this.maxBytes = (opts.maxMb || +process.env.TAPE_MAX_MB || 50) * 1024 * 1024;
+    this.maxAgeDays = opts.maxAgeDays ?? +(process.env.TAPE_MAX_AGE_DAYS || 30);
+    this.maxTotalBytes = (opts.maxTotalMb ?? +(process.env.TAPE_MAX_TOTAL_MB || 2048)) * 1024 * 1024;
+    this.flushMs = opts.flushMs ?? 2000;
+    this.maxBuffer = opts.maxBuffer ?? 1000;         // lines held before a flush regardless of the timer
+    this._buf = [];
+    this._timer = null;
+    this._writing = Promise.resolve();               // flushes run one after another, never interleaved
+    this._day = null;
+    this._seq = 0;
+    this._size = 0;
+    this._failed = false;
+    this.stats = { written: 0, errors: 0, pruned: 0 };
+  }
+
+  // ═══════════════════
+  //  WRITING
+  // ═══════════════════
+
+  _file(day) {
+    return path.join(this.dir, `tape-${day}-${String(this._seq).padStart(3, '0')}.jsonl`);
+  }
+
+  // Pick the segment to append to — a new day or a full file moves to the next one
+  _rotate(day, bytes) {
+    if (day !== this._day) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this._prune(day);
+      const segs = fs.readdirSync(this.dir).map(f => f.match(FILE_RE)).filter(m => m && m[1] === day).map(m => +m[2]);
+      this._day = day;
+      this._seq = segs.length ? Math.max(...segs) : 0;
+      const f = this._file(day);
+      this._size = fs.existsSync(f) ? fs.statSync(f).size : 0;
+    }
+    if (this._size && this._size + bytes > this.maxBytes) { this._seq++; this._size = 0; }
+    return this._file(day);
+  }
+
+  _prune(day) {
+    try {
+      const n = prune(this.dir, FILE_RE, { day, maxAgeDays: this.maxAgeDays, maxBytes: this.maxTotalBytes });
+      this.stats.pruned += n;
+      if (n) console.log(`[TAPE] Pruned ${n} old file(s)`);
+    } catch(e) { console.log(`[TAPE] Prune failed: ${e.message}`); }
+  }
+
+  record(type, data = {}, at = Date.now()) {
+    const t = new Date(at).toISOString();
+    const line = JSON.stringify({ t, type, ...data }) + '\n';
+    this._buf.push({ day: t.slice(0, 10), line, bytes: Buffer.byteLength(line) });
+    if (this._buf.length >= this.maxBuffer) this.flush();
+    else if (!this._timer) {
+      this._timer = setTimeout(() => this.flush(), this.flushMs);
+      this._timer.unref?.();
+    }
+  }
+
+  /** Write out everything buffered. Resolves once it is on disk. */
+  flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._buf.length) {
+      const batch = this._buf;
+      this._buf = [];
+      this._writing = this._writing.then(() => this._write(batch));
+    }
+    return this._writing;
+  }
+
+  // One append per segment a batch touches
+  async _write(batch) {
+    let file = null, chunk = [];
+    const out = async () => {
+      if (chunk.length) await fs.promises.appendFile(file, chunk.join(''));
+      chunk = [];
+    };
+    try {
+      for (const x of batch) {
+        const f = this._rotate(x.day, x.bytes);
+        if (f !== file) { await out(); file = f; }
+        chunk.push(x.line);
+        this._size += x.bytes;
+      }
+      await out();
+      this.stats.written += batch.length;
+      this._failed = false;
+    } catch(e) {
+      this.stats.errors++;
+      // One log per failure streak, not one per batch
+      if (!this._failed) console.log(`[TAPE] Write failed: ${e.message}`);
+      this._failed = true;
+    }
+  }
+
+  market(m, info) {
+    this.record('market', {
+      ticker: m.ticker, title: m.title, subtitle: m.subtitle,
+      floor_strike: m.floor_strike, cap_strike: m.cap_strike,
+      open_time: m.open_time, close_time: m.close_time, info,
+    });
+  }
+
+  // The snapshot's own clock becomes the line's timestamp
+  snapshot(ticker, snap) {
+    const { t, ...rest } = snap;
+    this.record('snapshot', { ticker, ...rest }, t);
+  }
+
+  signals(sig) { this.record('signals', sig); }
+
+  order(ev, order, extra = {}) { this.record('order', { ev, order: plainOrder(order), ...extra }); }
+
+  settlement(ticker, data) { this.record('settlement', { ticker, ...data }); }
+
+  getStatus() {
+    return { dir: this.dir, file: this._day ? path.basename(this._file(this._day)) : null, buffered: this._buf.length, ...this.stats };
+  }
+}
+
+// ═══════════════════
+//  READING
+// ═══════════════════
+
+class TapeReader {
+  constructor(dir = process.env.TAPE_DIR || './tape') {
+    this.dir = dir;
+  }
+
+  /** Tape files in time order, optionally limited to a UTC day range. */
+  files(from, to) {
+    if (!fs.existsSync(this.dir)) return [];
+    const dayFrom = from ? new Date(from).toISOString().slice(0, 10) : null;
+    const dayTo = to ? new Date(to).toISOString().slice(0, 10) : null;
+    return fs.readdirSync(this.dir)
+      .map(f => ({ f, m: f.match(FILE_RE) }))
+      .filter(({ m }) => m && (!dayFrom || m[1] >= dayFrom) && (!dayTo || m[1] <= dayTo))
+      .map(({ f }) => f)
+      .sort()
+      .map(f => path.join(this.dir, f));
+  }
+
+  /**
+   * Stream entries in order.
+   * opts: { from, to (Date|ms|ISO), types: ['snapshot', ...], ticker }
+   */
+  async *read(opts = {}) {
+    const from = opts.from ? new Date(opts.from).getTime() : null;
+    const to = opts.to ? new Date(opts.to).getTime() : null;
+    const types = opts.types ? new Set(opts.types) : null;
+
+    for (const file of this.files(opts.from, opts.to)) {
+      const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line.trim()) continue;
+        let e;
+        try { e = JSON.parse(line); } catch(err) { continue; }   // torn last line after a crash
+        if (types && !types.has(e.type)) continue;
+        if (opts.ticker && e.ticker !== opts.ticker && e.order?.ticker !== opts.ticker) continue;
+        const t = Date.parse(e.t);
+        if (from && t < from) continue;
+        if (to && t > to) continue;
+        yield e;
+      }
+    }
+  }
+
+  /**
+   * Rebuild each market's life from the tape — metadata, snapshot path
+   * and result — ordered by expiry. Markets never seen settling have
+   * result null.
+   */
+  async markets(opts = {}) {
+    const byTicker = new Map();
+    const get = (ticker) => {
+      if (!byTicker.has(ticker)) byTicker.set(ticker, { ticker, market: null, info: null, expiry: null, snapshots: [], result: null });
+      return byTicker.get(ticker);
+    };
+    for await (const e of this.read({ ...opts, types: ['market', 'snapshot', 'settlement'] })) {
+      const w = get(e.ticker);
+      if (e.type === 'market') {
+        const { t, type, ticker, info, ...market } = e;
+        w.market = { ticker, ...market };
+        w.info = info || null;
+        w.expiry = market.close_time ? Date.parse(market.close_time) : w.expiry;
+      } else if (e.type === 'snapshot') {
+        const { t, type, ticker, ...snap } = e;
+        w.snapshots.push({ t: Date.parse(t), ...snap });
+      } else {
+        w.result = e.result;
+        if (e.expiry) w.expiry = e.expiry;
+      }
+    }
+    return [...byTicker.values()].sort((a, b) => (a.expiry || 0) - (b.expiry || 0));
+  }
+}
+
+module.exports = TapeRecorder;
+module.exports.TapeReader = TapeReader;
+module.exports.prune = prune;
@@ -0,0 +1,59 @@
+/**
+ * Arbitrage.load() / manage() — a pair saved before a restart that spans
+ * its market's close has no watchlist entry left to settle it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Arbitrage = require('../arbitrage');
+const OrderTracker = require('../order-tracker');
+const { NotFoundError } = require('../kalshi-client');
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const leg = (side, price, filled) => ({ id: `${side}-1`, ticker: 'KXBTC15M-T', side, action: 'buy', price, contracts: 10,
+  status: 'executed', filled, fillCost: filled * price, expiry: now - 60000, role: 'pair', pair: 'p1', at: new Date(now - 9e5).toISOString() });
+
+const dirs = [];
+test.after(() => { for (const d of dirs) fs.rmSync(d, { recursive: true, force: true }); });
+
+function restored(legs, market) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arb-'));
+  dirs.push(dir);
+  const file = path.join(dir, 'arb_state.json');
+  fs.writeFileSync(file, JSON.stringify({ pairs: [{ id: 'p1', kind: 'cross', ticker: 'KXBTC15M-T', expiry: now - 60000, contracts: 10,
+    lockCents: 3, status: 'working', fixes: 0, at: new Date(now - 9e5).toISOString(), legs }] }));
+  const arb = new Arbitrage(null, new OrderTracker(null), market, { file });
+  arb.load();
+  return arb;
+}
+
+test('a restored pair past its close settles from the exchange result', async () => {
+  const asked = [];
+  const arb = restored([leg('yes', 60, 10), leg('no', 35, 4)], { getMarket: async t => { asked.push(t); return { market: { ticker: t, result: 'no' } }; } });
+  assert.strictEqual(arb.busy('KXBTC15M-T'), true);
+
+  await arb.manage(new Map(), now);
+  assert.deepStrictEqual(asked, ['KXBTC15M-T']);
+  assert.strictEqual(arb.pairs.size, 0);
+  assert.strictEqual(arb.busy('KXBTC15M-T'), false);
+  assert.strictEqual(arb.stats.exposed, 1);
+  // Paid 10 × 60¢ + 4 × 35¢, the 4 NO pay 100¢ each, and fees on both legs
+  assert.strictEqual(arb.stats.fees, 0.24);
+  assert.strictEqual(arb.stats.pnl, -3.64);
+});
+
+test('a restored pair waits while the exchange has no result yet', async () => {
+  const arb = restored([leg('yes', 60, 10), leg('no', 35, 10)], { getMarket: async t => ({ market: { ticker: t, result: '' } }) });
+  await arb.manage(new Map(), now);
+  assert.strictEqual(arb.pairs.size, 1);
+});
+
+test('a restored pair on a market that is gone closes without a result', async () => {
+  const arb = restored([leg('yes', 60, 10), leg('no', 35, 10)], { getMarket: async () => { throw new NotFoundError('gone'); } });
+  await arb.manage(new Map(), now);
+  assert.strictEqual(arb.pairs.size, 0);
+  assert.strictEqual(arb.stats.locked, 1);
+});
@@ -0,0 +1,70 @@
+/**
+ * Execution.review() / entry() against a stubbed book — a resting entry must not
+ * read its own bid as the market passing its ceiling, or an empty book as one.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Execution = require('../execution');
+
+// Book in cents: YES bids, and NO bids that set the YES ask
+const stub = (yes, no) => ({ getOrderbook: async () => ({ orderbook: { yes, no } }) });
+const exec = (book) => new Execution(book, { improveTicks: 1, maxChaseCents: 3, crossSecs: 45, crossEdge: 0.12, joinSecs: 180 });
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const resting = (extra = {}) => ({
+  ticker: 'KXBTC15M-T', side: 'yes', price: 57, contracts: 5, filled: 0, expiry: now + 30000,
+  exec: { edge: 0.08, maxPrice: 57, mode: 'capped', reprices: 0 }, ...extra,
+});
+
+test('capped entry at its ceiling stays put on the next cycle', async () => {
+  // Our 5 at 57 are the best bid, someone else sits at 55, ask 60, 30s left — the plan wants to cross
+  const e = exec(stub([[55, 10], [57, 5]], [[40, 20]]));
+  assert.strictEqual(await e.review(resting(), now), null);
+});
+
+test('a bid from someone else tied at the ceiling leaves us in the queue', async () => {
+  const e = exec(stub([[55, 10], [57, 12]], [[40, 20]]));
+  assert.strictEqual(await e.review(resting(), now), null);
+});
+
+test('a bid from someone else above the ceiling cancels', async () => {
+  const e = exec(stub([[57, 5], [58, 3]], [[40, 20]]));
+  assert.deepStrictEqual(await e.review(resting(), now), { action: 'cancel', reason: 'bid 58¢ past max 57¢' });
+});
+
+test('an entry below its ceiling moves up to it once it is time to cross', async () => {
+  const e = exec(stub([[55, 10], [56, 5]], [[40, 20]]));
+  const r = await e.review(resting({ price: 56 }), now);
+  assert.deepStrictEqual(r, { action: 'reprice', mode: 'capped', price: 57, wanted: 'cross' });
+});
+
+test('paper orders are not in the book — nothing is taken off it', async () => {
+  // Without our size removed the 57 level belongs to someone else: a tie at the ceiling, not a pass
+  const e = exec(stub([[57, 5]], [[40, 20]]));
+  assert.strictEqual(await e.review(resting({ dry: true }), now), null);
+  assert.deepStrictEqual(Execution.without({ yes_dollars: [['0.5700', '5.00'], ['0.5500', '3.00']] }, 'yes', { price: 57, count: 5 }).yes_dollars, [['0.5500', '3.00']]);
+});
+
+test('an entry resting alone on the book is left where it is', async () => {
+  // Ours is the only YES bid — with it taken off the book is empty on that side
+  const e = exec(stub([[57, 5]], [[40, 20]]));
+  assert.strictEqual(await e.review(resting({ expiry: now + 120000 }), now), null);
+  assert.strictEqual(await e.review(resting({ expiry: now + 600000 }), now), null);
+});
+
+test('an entry alone on the book below its ceiling still crosses in the last seconds', async () => {
+  const e = exec(stub([[55, 5]], [[40, 20]]));
+  const r = await e.review(resting({ price: 55 }), now);
+  assert.deepStrictEqual(r, { action: 'reprice', mode: 'capped', price: 57, wanted: 'cross' });
+});
+
+test('an empty book plans a bid under the ask instead of skipping the entry', async () => {
+  const d = { side: 'yes', price: 60, edge: 0.08, minEdge: 0.05, ci: { lower: 0.75 } };
+  const e = exec(stub([], [[40, 20]]));
+  assert.deepStrictEqual(await e.entry('KXBTC15M-T', d, 600), { mode: 'improve', price: 59, maxPrice: 63, book: { bid: 0, ask: 60, bidSize: 0 } });
+  // Nothing on either side: the ask is 100, so the bid rests at the ceiling
+  const empty = exec(stub([], []));
+  const p = await empty.entry('KXBTC15M-T', d, 600);
+  assert.deepStrictEqual({ mode: p.mode, price: p.price, wanted: p.wanted }, { mode: 'capped', price: 63, wanted: 'improve' });
+});
@@ -0,0 +1,39 @@
+/**
+ * Fee schedule — ceil(rate × C × P × (1 − P)) to the cent, per order.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fees = require('../fees');
+
+test('the fee peaks at 50¢ and rounds each order up to the cent', () => {
+  assert.strictEqual(fees.perContract(50), 0.0175);
+  assert.strictEqual(fees.orderFee(1, 50), 0.02);     // 1.75¢
+  assert.strictEqual(fees.orderFee(3, 50), 0.06);     // 5.25¢
+  assert.strictEqual(fees.orderFee(100, 50), 1.75);
+});
+
+test('an exact cent is not pushed up by float noise', () => {
+  // 0.07 × 4 × 0.25 is 7¢ on paper and 7.000000000000001¢ in floats
+  assert.strictEqual(fees.orderFee(4, 50), 0.07);
+});
+
+test('the extremes still pay at least a cent an order', () => {
+  assert.strictEqual(fees.orderFee(1, 1), 0.01);
+  assert.strictEqual(fees.orderFee(1, 99), 0.01);
+  assert.strictEqual(fees.orderFee(100, 1), 0.07);    // 6.93¢
+  assert.strictEqual(fees.orderFee(100, 99), fees.orderFee(100, 1));
+  assert.strictEqual(fees.orderFee(0, 50), 0);
+});
+
+test('makers pay the maker rate', () => {
+  assert.strictEqual(fees.perContract(50, true), 0.004375);
+  assert.strictEqual(fees.orderFee(100, 50, true), 0.44);   // 43.75¢
+});
+
+test('fills are charged one by one, taker or maker, or as one taker fill when untracked', () => {
+  const fills = new Map([['a', { count: 1, price: 50, taker: true }], ['b', { count: 100, price: 50, taker: false }]]);
+  assert.strictEqual(fees.fillFees({ fills }), 0.46);
+  assert.strictEqual(fees.fillFees({ filled: 100, fillCost: 5000 }), 1.75);
+  assert.strictEqual(fees.fillFees({ filled: 0 }), 0);
+});
@@ -0,0 +1,48 @@
+/**
+ * KalshiClient — a 429's Retry-After is honoured up to the cap and fails
+ * fast past it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const KalshiClient = require('../kalshi-client');
+const { RateLimitError } = KalshiClient;
+
+const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+// A server that answers 429 with `retryAfter` until `limited` requests have been turned away
+async function server(retryAfter, limited) {
+  let hits = 0;
+  const srv = http.createServer((req, res) => {
+    if (++hits <= limited) { res.writeHead(429, { 'Retry-After': retryAfter }); return res.end('slow down'); }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ balance: 1000 }));
+  });
+  await new Promise(r => srv.listen(0, '127.0.0.1', r));
+  const client = new KalshiClient({ apiKeyId: 'test', privateKeyPem: pem, maxBackoffMs: 100,
+    baseUrl: `http://127.0.0.1:${srv.address().port}/trade-api/v2` });
+  return { client, hits: () => hits, close: () => srv.close() };
+}
+
+test('a Retry-After under the cap is waited out and the request retried', async (t) => {
+  const s = await server('0.2', 1);
+  t.after(s.close);
+  const started = Date.now();
+  assert.deepStrictEqual(await s.client.getBalance(), { balance: 1000 });
+  assert.ok(Date.now() - started >= 200);
+  assert.strictEqual(s.hits(), 2);
+  assert.strictEqual(s.client.stats.rateLimited, 1);
+});
+
+test('a Retry-After past the cap fails at once instead of stalling the caller', async (t) => {
+  const s = await server('3600', 1);
+  t.after(s.close);
+  const started = Date.now();
+  await assert.rejects(s.client.getBalance(), (e) => e instanceof RateLimitError && e.retryAfterMs === 3600000);
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(s.hits(), 1);
+  assert.deepStrictEqual({ retries: s.client.stats.retries, errors: s.client.stats.errors }, { retries: 0, errors: 1 });
+});
@@ -0,0 +1,171 @@
+/**
+ * KalshiWS — book state from snapshots and deltas, resync on a sequence
+ * gap, subscription bookkeeping, and the quote a book or ticker implies.
+ * The last tests run the client against mock-exchange.js's stream.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const KalshiWS = require('../kalshi-ws');
+const KalshiClient = require('../kalshi-client');
+const MockExchange = require('../mock-exchange');
+
+// A client with an open socket that records what it sends
+function stream(tickers = []) {
+  const kws = new KalshiWS({ wsUrl: 'ws://stub', _authHeaders: () => ({}) }, { fills: false });
+  const sent = [];
+  kws.ws = { readyState: WebSocket.OPEN, send: (m) => sent.push(JSON.parse(m)), close() {} };
+  kws.connected = true;
+  kws.tickers = new Set(tickers);
+  return { kws, sent };
+}
+
+// Subscribe `tickers` and acknowledge it with `sid`, as the server would
+function subscribed(kws, sent, tickers, sid) {
+  kws._subscribe(tickers);
+  kws._onMessage({ id: sent[sent.length - 1].id, type: 'subscribed', msg: { channel: 'orderbook_delta', sid } });
+}
+
+const T = 'KXBTC15M-26OCT191215-15';
+
+test('a snapshot and its deltas build the book and the quote it implies', () => {
+  const { kws, sent } = stream([T]);
+  subscribed(kws, sent, [T], 7);
+  const quotes = [];
+  kws.on('quote', (t, q) => quotes.push(q));
+
+  kws._onMessage({ type: 'orderbook_snapshot', sid: 7, seq: 1, msg: { market_ticker: T, yes: [[55, 10], [56, 4]], no: [[40, 8], [42, 3]] } });
+  kws._onMessage({ type: 'orderbook_delta', sid: 7, seq: 2, msg: { market_ticker: T, side: 'yes', price: 57, delta: 6 } });
+  kws._onMessage({ type: 'orderbook_delta', sid: 7, seq: 3, msg: { market_ticker: T, side: 'no', price: 42, delta: -3 } });
+
+  assert.deepStrictEqual(kws.getBook(T).yes, [[55, 10], [56, 4], [57, 6]]);
+  assert.deepStrictEqual(kws.getBook(T).no, [[40, 8]]);
+  // Bids only: the YES ask is 100 less the best NO bid, and its depth is that bid's size
+  const q = kws.getQuote(T);
+  assert.deepStrictEqual({ yesBid: q.yesBid, noBid: q.noBid, yesAsk: q.yesAsk, noAsk: q.noAsk, yesDepth: q.yesDepth, noDepth: q.noDepth, source: q.source },
+    { yesBid: 57, noBid: 40, yesAsk: 60, noAsk: 43, yesDepth: 8, noDepth: 6, source: 'book' });
+  assert.strictEqual(quotes.length, 3);
+});
+
+test('an empty side quotes no bid and no ask across from it', () => {
+  const { kws, sent } = stream([T]);
+  subscribed(kws, sent, [T], 7);
+  kws._onMessage({ type: 'orderbook_snapshot', sid: 7, seq: 1, msg: { market_ticker: T, yes: [[55, 10]], no: [] } });
+  const q = kws.getQuote(T);
+  assert.deepStrictEqual({ yesBid: q.yesBid, noBid: q.noBid, yesAsk: q.yesAsk, noAsk: q.noAsk, yesDepth: q.yesDepth },
+    { yesBid: 55, noBid: null, yesAsk: null, noAsk: 45, yesDepth: 0 });
+});
+
+test('without a book the ticker channel quotes, NO from YES', () => {
+  const { kws } = stream([T]);
+  kws._onMessage({ type: 'ticker', sid: 1, msg: { market_ticker: T, yes_bid: 55, yes_ask: 58, price: 56, volume: 100 } });
+  kws._onMessage({ type: 'ticker', sid: 1, msg: { market_ticker: 'NOT-WATCHED', yes_bid: 10, yes_ask: 12 } });
+  const q = kws.getQuote(T);
+  assert.deepStrictEqual({ yesBid: q.yesBid, noBid: q.noBid, yesAsk: q.yesAsk, noAsk: q.noAsk, source: q.source },
+    { yesBid: 55, noBid: 42, yesAsk: 58, noAsk: 45, source: 'ticker' });
+  assert.strictEqual(kws.getQuote('NOT-WATCHED'), null);
+});
+
+test('a sequence gap drops the book and resubscribes for a fresh snapshot', () => {
+  const { kws, sent } = stream([T]);
+  subscribed(kws, sent, [T], 7);
+  kws._onMessage({ type: 'orderbook_snapshot', sid: 7, seq: 1, msg: { market_ticker: T, yes: [[55, 10]], no: [[40, 8]] } });
+  sent.length = 0;
+
+  kws._onMessage({ type: 'orderbook_delta', sid: 7, seq: 3, msg: { market_ticker: T, side: 'yes', price: 56, delta: 5 } });
+  assert.strictEqual(kws.books.has(T), false);
+  assert.strictEqual(kws.stats.resyncs, 1);
+  assert.deepStrictEqual(sent.map(m => [m.cmd, m.params]), [
+    ['unsubscribe', { sids: [7] }],
+    ['subscribe', { channels: ['orderbook_delta'], market_tickers: [T] }],
+  ]);
+
+  // Stragglers on the old sid are ignored; the new subscription's snapshot restores the book
+  kws._onMessage({ type: 'orderbook_delta', sid: 7, seq: 4, msg: { market_ticker: T, side: 'yes', price: 56, delta: 5 } });
+  assert.strictEqual(kws.books.has(T), false);
+  kws._onMessage({ id: sent[1].id, type: 'subscribed', msg: { channel: 'orderbook_delta', sid: 8 } });
+  kws._onMessage({ type: 'orderbook_snapshot', sid: 8, seq: 1, msg: { market_ticker: T, yes: [[56, 5]], no: [[40, 8]] } });
+  assert.strictEqual(kws.getQuote(T).yesBid, 56);
+});
+
+test('watch() subscribes new markets and releases a subscription once all its markets are gone', () => {
+  const { kws, sent } = stream();
+  const A = `${T}A`, B = `${T}B`;
+  kws.watch([A, B]);
+  assert.deepStrictEqual(sent.map(m => [m.cmd, m.params]), [['subscribe', { channels: ['ticker', 'orderbook_delta'], market_tickers: [A, B] }]]);
+  kws._onMessage({ id: sent[0].id, type: 'subscribed', msg: { channel: 'ticker', sid: 1 } });
+  kws._onMessage({ id: sent[0].id, type: 'subscribed', msg: { channel: 'orderbook_delta', sid: 2 } });
+  kws._onMessage({ type: 'orderbook_snapshot', sid: 2, seq: 1, msg: { market_ticker: A, yes: [[55, 10]], no: [] } });
+  sent.length = 0;
+
+  kws.watch([B]);   // B still uses both subscriptions
+  assert.deepStrictEqual(sent, []);
+  assert.strictEqual(kws.books.has(A), false);
+
+  kws.watch([]);
+  assert.deepStrictEqual(sent.map(m => [m.cmd, m.params]), [['unsubscribe', { sids: [1, 2] }]]);
+  assert.strictEqual(kws._subs.size, 0);
+});
+
+// ═══════════════════
+//  AGAINST THE MOCK
+// ═══════════════════
+
+const until = async (cond, ms = 5000) => {
+  for (const end = Date.now() + ms; !cond(); await new Promise(r => setTimeout(r, 10))) {
+    if (Date.now() > end) throw new Error('timed out');
+  }
+};
+
+async function live(opts = {}) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  let t = Date.parse('2026-10-19T12:01:00Z');
+  const ex = new MockExchange({ now: () => t, publicKey, series: [{ ticker: 'KXBTC15M', minutes: 15 }], ...opts });
+  ex.tick();
+  const server = ex.listen(0);
+  await new Promise(r => server.once('listening', r));
+  const client = new KalshiClient({ apiKeyId: 'test', privateKeyPem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    baseUrl: `http://127.0.0.1:${server.address().port}/trade-api/v2` });
+  const kws = new KalshiWS(client, { fills: false });
+  const ticker = [...ex.markets.keys()][0];
+  return { ex, kws, ticker, advance: (ms) => { t += ms; ex.tick(); } };
+}
+
+test('the mock stream keeps the book in step and resyncs across its gaps', async (t) => {
+  const { ex, kws, ticker, advance } = await live({ wsGapEvery: 3 });
+  t.after(() => { kws.close(); ex.close(); });
+  assert.strictEqual(kws.url, `ws://127.0.0.1:${ex._server.address().port}/trade-api/ws/v2`);
+
+  kws.watch([ticker]);
+  kws.connect();
+  await until(() => kws.books.has(ticker));
+  const expected = () => ex._book(ex.markets.get(ticker));
+  assert.deepStrictEqual(kws.getBook(ticker).yes, expected().yes);
+
+  // Requote until a skipped seq has forced a resync, then let the fresh snapshot land
+  for (let i = 0; i < 60 && !kws.stats.resyncs; i++) {
+    advance(10000);
+    await new Promise(r => setTimeout(r, 20));
+  }
+  assert.ok(kws.stats.resyncs > 0, 'no resync');
+  await until(() => kws.books.has(ticker) && JSON.stringify(kws.getBook(ticker).no) === JSON.stringify(expected().no));
+  assert.deepStrictEqual(kws.getBook(ticker).yes, expected().yes);
+  const m = ex.markets.get(ticker);
+  assert.strictEqual(kws.getQuote(ticker).yesAsk, 100 - m.no_bid);
+});
+
+test('the books are cleared when the stream drops', async (t) => {
+  const { ex, kws, ticker } = await live();
+  t.after(() => { kws.close(); ex.close(); });
+  kws.watch([ticker]);
+  kws.connect();
+  await until(() => kws.books.has(ticker));
+
+  const dropped = new Promise(r => kws.once('disconnected', r));
+  for (const c of ex._clients) c.ws.terminate();
+  await dropped;
+  assert.strictEqual(kws.books.size, 0);
+  assert.strictEqual(kws.getQuote(ticker), null);
+});
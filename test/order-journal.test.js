@@ -0,0 +1,89 @@
+/**
+ * OrderJournal — fills written as they land come back on load, with the
+ * totals they add up to, and survive a compaction.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OrderJournal = require('../order-journal');
+const OrderTracker = require('../order-tracker');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+let n = 0;
+const journal = () => new OrderJournal(path.join(dir, `orders-${++n}.jsonl`));
+
+const order = () => ({ id: 'o1', ticker: 'KXBTC15M-T', side: 'yes', price: 60, contracts: 10, cost: 6, expiry: Date.parse('2026-10-19T12:15:00Z') });
+const trade = (id, count, price, taker = true) => ({ trade_id: id, order_id: 'o1', count, yes_price: price, is_taker: taker });
+
+// Track `o`, journaling fills the way the scalper does
+function tracked(j, o) {
+  const tracker = new OrderTracker(null);
+  tracker.on('fill', (x, count, f) => j.fill(o, f, x === o ? null : x));
+  tracker.track(o);
+  return tracker;
+}
+
+test('a crash between a fill and its update still recovers the fill', () => {
+  const j = journal(), o = order();
+  j.record('placed', o);
+  const tracker = tracked(j, o);
+  tracker.addFill(o, trade('t1', 4, 60));
+  j.record('update', o);
+  tracker.addFill(o, trade('t2', 3, 59, false));   // no update line after this one
+
+  const back = j.load().open.get('o1');
+  assert.strictEqual(back.filled, 7);
+  assert.strictEqual(back.fillCost, 4 * 60 + 3 * 59);
+  assert.deepStrictEqual([...back.fills], [['t1', { count: 4, price: 60, taker: true }], ['t2', { count: 3, price: 59, taker: false }]]);
+});
+
+test('restored fills dedupe against the same trades from the exchange', () => {
+  const j = journal(), o = order();
+  j.record('placed', o);
+  tracked(j, o).addFill(o, trade('t1', 4, 60));
+
+  const back = j.load().open.get('o1');
+  const tracker = new OrderTracker(null);
+  tracker.track(back, { status: 'resting' });
+  assert.strictEqual(tracker.addFill(back, trade('t1', 4, 60)), false);
+  tracker.addFill(back, trade('t2', 6, 61));
+  assert.strictEqual(back.filled, 10);
+  assert.strictEqual(back.status, 'executed');
+});
+
+test('exit fills go back on their exit leg', () => {
+  const j = journal(), o = order();
+  const x = { id: 'x1', ticker: o.ticker, side: 'yes', action: 'sell', parent: 'o1', price: 80, contracts: 2 };
+  o.exits = [x];
+  j.record('placed', o);
+  const tracker = tracked(j, o);
+  tracker.track(x);
+  tracker.addFill(o, trade('t1', 5, 60));
+  tracker.addFill(x, { trade_id: 't9', order_id: 'x1', count: 2, yes_price: 80 });
+
+  const back = j.load().open.get('o1');
+  assert.strictEqual(back.filled, 5);
+  assert.strictEqual(back.exits[0].filled, 2);
+  assert.strictEqual(back.exits[0].fillCost, 160);
+  assert.ok(back.exits[0].fills.has('t9'));
+  assert.ok(!back.fills.has('t9'));
+});
+
+test('compaction keeps the fills of open orders and a settled order leaves none behind', () => {
+  const j = journal(), o = order();
+  j.record('placed', o);
+  tracked(j, o).addFill(o, trade('t1', 4, 60));
+  j.compact(j.load().open, { bankroll: 60 });
+
+  const { open, stats } = j.load();
+  assert.deepStrictEqual(stats, { bankroll: 60 });
+  assert.strictEqual(open.get('o1').filled, 4);
+  assert.ok(open.get('o1').fills.has('t1'));
+
+  j.record('settled', open.get('o1'), { result: 'yes' });
+  assert.strictEqual(j.load().open.size, 0);
+});
@@ -0,0 +1,61 @@
+/**
+ * Fractional Kelly — the full-Kelly fraction, then the fraction, the
+ * per-bet cap and the minimum-contract floor, in that order.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const sizing = require('../sizing');
+
+const near = (actual, expected, tol = 1e-9) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} ≠ ${expected}`);
+
+test('full Kelly is (p − C) / (1 − C), never negative, and nothing at a free or certain cost', () => {
+  near(sizing.kelly(0.7, 0.6), 0.25);
+  assert.strictEqual(sizing.kelly(0.5, 0.6), 0);
+  assert.strictEqual(sizing.kelly(0.9, 0), 0);
+  assert.strictEqual(sizing.kelly(0.9, 1), 0);
+});
+
+test('a fractional stake under the cap is sized by Kelly', () => {
+  const s = sizing.size({ p: 0.7, priceCents: 60, bankroll: 100, fraction: 0.25, maxFraction: 0.10 });
+  near(s.stakeFrac, 0.0625);
+  assert.strictEqual(s.contracts, 10);   // $6.25 at 60¢
+  assert.strictEqual(s.limit, 'kelly');
+});
+
+test('a stake past maxFraction is clamped to it', () => {
+  const s = sizing.size({ p: 0.9, priceCents: 50, bankroll: 100, fraction: 0.25, maxFraction: 0.10 });
+  near(s.full, 0.8);
+  assert.strictEqual(s.stakeFrac, 0.10);
+  assert.strictEqual(s.stake, 10);
+  assert.strictEqual(s.contracts, 20);
+  assert.strictEqual(s.limit, 'cap');
+});
+
+test('scale shrinks the fraction but the cap still applies', () => {
+  const half = sizing.size({ p: 0.7, priceCents: 60, bankroll: 100, scale: 0.5 });
+  near(half.stakeFrac, 0.03125);
+  assert.strictEqual(half.contracts, 5);
+  const hot = sizing.size({ p: 0.9, priceCents: 50, bankroll: 100, scale: 2, maxFraction: 0.10 });
+  assert.strictEqual(hot.stakeFrac, 0.10);
+  assert.strictEqual(hot.limit, 'cap');
+});
+
+test('fees count toward the cost of a contract', () => {
+  const s = sizing.size({ p: 0.7, priceCents: 60, feePerContract: 0.0168, bankroll: 100 });
+  near(s.full, (0.7 - 0.6168) / (1 - 0.6168));
+  assert.strictEqual(s.contracts, Math.floor(100 * s.stakeFrac / 0.6168));
+});
+
+test('a positive edge too small for one contract is floored at minContracts', () => {
+  const s = sizing.size({ p: 0.65, priceCents: 60, bankroll: 5, minContracts: 1 });
+  assert.strictEqual(s.contracts, 1);
+  assert.strictEqual(s.limit, 'floor');
+  assert.strictEqual(sizing.size({ p: 0.65, priceCents: 60, bankroll: 5, minContracts: 0 }).contracts, 0);
+});
+
+test('no edge buys nothing, floor or not', () => {
+  const s = sizing.size({ p: 0.5, priceCents: 60, bankroll: 100, minContracts: 3 });
+  assert.strictEqual(s.contracts, 0);
+  assert.strictEqual(s.limit, 'none');
+});
@@ -0,0 +1,63 @@
+/**
+ * Win-rate intervals — Wilson with no data and little data, the Beta
+ * posterior around its market prior, and which one estimate() picks.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const stats = require('../stats');
+
+const near = (actual, expected, tol = 1e-4) => assert.ok(Math.abs(actual - expected) <= tol, `${actual} ≠ ${expected}`);
+
+test('normInv gives the familiar z scores', () => {
+  near(stats.normInv(0.5), 0);
+  near(stats.normInv(0.95), 1.6449);
+  near(stats.normInv(0.975), 1.96);
+  near(stats.normInv(0.01), -2.3263);
+});
+
+test('Wilson with no observations knows nothing', () => {
+  assert.deepStrictEqual(stats.wilson(0, 0), { mean: null, lower: 0, upper: 1 });
+});
+
+test('Wilson keeps 3-for-3 well short of certain', () => {
+  const all = stats.wilson(3, 3, 0.9);
+  assert.strictEqual(all.mean, 1);
+  near(all.lower, 0.5258);
+  assert.strictEqual(all.upper, 1);
+  // ...and mirrors it for 0-for-3
+  const none = stats.wilson(0, 3, 0.9);
+  assert.strictEqual(none.lower, 0);
+  near(none.upper, 1 - all.lower);
+});
+
+test('Wilson narrows as n grows at the same rate', () => {
+  const small = stats.wilson(7, 10), big = stats.wilson(70, 100);
+  assert.ok(small.lower < big.lower && big.upper < small.upper);
+  assert.ok(big.lower < 0.7 && 0.7 < big.upper);
+});
+
+test('the Beta posterior with no observations is its prior', () => {
+  const b = stats.betaPosterior(0, 0, 0.5, 10, 0.9);
+  assert.strictEqual(b.mean, 0.5);
+  near(b.lower, 0.2514);   // Beta(5, 5) 5% quantile
+  near(b.upper, 1 - b.lower);
+});
+
+test('a few wins move the Beta posterior only part way from the market', () => {
+  const b = stats.betaPosterior(3, 3, 0.6, 10, 0.9);
+  near(b.mean, 9 / 13);
+  // The 60¢ prior holds the lower bound under Wilson's for the same record
+  assert.ok(b.lower > 0.4 && b.lower < stats.wilson(3, 3, 0.9).lower);
+  near(stats.betaCdf(b.lower, 9, 4), 0.05);
+});
+
+test('estimate() uses the Beta prior by default and Wilson without one', () => {
+  assert.strictEqual(stats.estimate(3, 3, 0.6).method, 'beta');
+  assert.strictEqual(stats.estimate(3, 3, 0.6, { estimator: 'wilson' }).method, 'wilson');
+  assert.strictEqual(stats.estimate(3, 3, null).method, 'wilson');
+  // A prior worth nothing would leave Beta(0, 0) — Wilson stands in
+  const e = stats.estimate(0, 0, 0.6, { priorStrength: 0 });
+  assert.strictEqual(e.method, 'wilson');
+  assert.deepStrictEqual([e.lower, e.upper], [0, 1]);
+});
@@ -0,0 +1,62 @@
+/**
+ * TapeRecorder — lines wait in the buffer until a flush, segments rotate
+ * on bytes written, and a new day prunes what is past its limits.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TapeRecorder = require('../tape-recorder');
+const { TapeReader } = TapeRecorder;
+
+const dirs = [];
+test.after(() => { for (const d of dirs) fs.rmSync(d, { recursive: true, force: true }); });
+const tmp = () => { const d = fs.mkdtempSync(path.join(os.tmpdir(), 'tape-')); dirs.push(d); return d; };
+
+const at = Date.parse('2026-10-19T12:00:00Z');
+
+test('nothing touches the disk until a flush, then it all reads back in order', async () => {
+  const dir = tmp();
+  const tape = new TapeRecorder({ dir, flushMs: 60000 });
+  for (let i = 0; i < 5; i++) tape.record('signals', { i }, at + i);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+  assert.strictEqual(tape.getStatus().buffered, 5);
+
+  await tape.flush();
+  assert.strictEqual(tape.getStatus().buffered, 0);
+  assert.strictEqual(tape.stats.written, 5);
+  const lines = [];
+  for await (const e of new TapeReader(dir).read()) lines.push(e.i);
+  assert.deepStrictEqual(lines, [0, 1, 2, 3, 4]);
+});
+
+test('a full buffer flushes without waiting for the timer', async () => {
+  const dir = tmp();
+  const tape = new TapeRecorder({ dir, flushMs: 60000, maxBuffer: 3 });
+  for (let i = 0; i < 3; i++) tape.record('signals', { i }, at);
+  await tape.flush();
+  assert.strictEqual(tape.stats.written, 3);
+});
+
+test('segments rotate on bytes, not characters', async () => {
+  const dir = tmp();
+  const tape = new TapeRecorder({ dir, maxMb: 200 / 1024 / 1024 });
+  // ~70 characters a line but more bytes: the arrows are 3 bytes each
+  for (let i = 0; i < 4; i++) tape.record('signals', { note: '→'.repeat(20) }, at);
+  await tape.flush();
+  const files = fs.readdirSync(dir).sort();
+  assert.deepStrictEqual(files, ['tape-2026-10-19-000.jsonl', 'tape-2026-10-19-001.jsonl', 'tape-2026-10-19-002.jsonl', 'tape-2026-10-19-003.jsonl']);
+  for (const f of files) assert.ok(fs.statSync(path.join(dir, f)).size > 60);
+});
+
+test('a new day drops files past maxAgeDays and never today', async () => {
+  const dir = tmp();
+  for (const day of ['2026-09-01', '2026-10-18']) fs.writeFileSync(path.join(dir, `tape-${day}-000.jsonl`), '{}\n');
+  const tape = new TapeRecorder({ dir, maxAgeDays: 30 });
+  tape.record('signals', {}, at);
+  await tape.flush();
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['tape-2026-10-18-000.jsonl', 'tape-2026-10-19-000.jsonl']);
+  assert.strictEqual(tape.stats.pruned, 1);
+});